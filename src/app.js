@@ -4,6 +4,11 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { loadStl } from './readers/stlReader.js';
 import { loadDxf } from './readers/dxfReader.js';
 import { loadStep } from './readers/stepReader.js';
+import { loadIges } from './readers/igesReader.js';
+import { loadBrep } from './readers/brepReader.js';
+import { TESSELLATION_PRESETS } from './readers/occtReader.js';
+import { escapeHtml } from './readers/html.js';
+import { writeFlatPatternDxf } from './writers/dxfWriter.js';
 
 const viewerEl = document.getElementById('viewer');
 const resultsEl = document.getElementById('results');
@@ -12,6 +17,14 @@ const loading = document.getElementById('loading');
 const dropEl = document.getElementById('drop');
 const fileInput = document.getElementById('fileInput');
 const stlUnitEl = document.getElementById('stlUnit');
+const dxfHatchModeEl = document.getElementById('dxfHatchMode');
+const dxfTextModeEl = document.getElementById('dxfTextMode');
+const dxfLinetypeModeEl = document.getElementById('dxfLinetypeMode');
+const dxfFillModeEl = document.getElementById('dxfFillMode');
+const stepQualityEl = document.getElementById('stepQuality');
+const stepDeflectionTypeEl = document.getElementById('stepDeflectionType');
+const stepLinearDeflectionEl = document.getElementById('stepLinearDeflection');
+const stepAngularDeflectionEl = document.getElementById('stepAngularDeflection');
 
 let viewerManager = null;
 const models = [];
@@ -22,6 +35,14 @@ const PLANAR_ANGLE_THRESHOLD_DEG = 3;
 const CIRCULARITY_THRESHOLD = 0.80;
 const VERTEX_MERGE_TOLERANCE = 1e-5;
 const BEND_ANGLE_TOLERANCE_DEG = 3;
+const CONTOUR_JOIN_TOLERANCE_MM = 0.01;
+const CYLINDER_NORMAL_TOLERANCE = 0.02;
+const CYLINDER_FIT_TOLERANCE = 0.002;
+const FULL_CYLINDER_SWEEP_DEG = 350;
+const PICK_RADIUS_PX = 6;
+const HIGHLIGHT_COLOR = 0xffcc33;
+const ANGLE_PARAMS = new Set(['startAngle', 'endAngle', 'sweep', 'rotation']);
+const OCCT_LOADERS = { step: loadStep, iges: loadIges, brep: loadBrep };
 
 function initViewer() {
   if (!viewerManager) {
@@ -51,6 +72,24 @@ function attachUiHandlers() {
     });
   }
 
+  // Presets fill in the advanced fields; editing a field switches to custom
+  if (stepQualityEl) {
+    stepQualityEl.addEventListener('change', () => {
+      const preset = TESSELLATION_PRESETS[stepQualityEl.value];
+      if (!preset) return;
+      if (stepDeflectionTypeEl) stepDeflectionTypeEl.value = preset.linearDeflectionType;
+      if (stepLinearDeflectionEl) stepLinearDeflectionEl.value = preset.linearDeflection;
+      if (stepAngularDeflectionEl) stepAngularDeflectionEl.value = preset.angularDeflection;
+    });
+    [stepDeflectionTypeEl, stepLinearDeflectionEl, stepAngularDeflectionEl].forEach((el) => {
+      if (el) {
+        el.addEventListener('change', () => {
+          stepQualityEl.value = 'custom';
+        });
+      }
+    });
+  }
+
   if (fileInput) {
     fileInput.addEventListener('change', (event) => {
       const { files } = event.target;
@@ -75,35 +114,38 @@ async function handleFiles(fileList) {
       if (loading) {
         loading.classList.add('show');
       }
-      const readerOptions = {
-        stlUnitEl,
-        precisionEl,
-        addCard,
-        updateCardBody,
-        computeBoundsFromPositions,
-        computeBoundsFromGroup,
-        dimsFromBounds,
-        analyzeSheetMetal,
-        formatDims,
-        formatLaserCutAnalysis,
-        models,
-        ensureOcctModule,
-      };
+      const readerOptions = createReaderOptions();
       if (lower.endsWith('.stl')) {
         viewport = viewerManager.createViewport(name);
         await loadStl(file, card, viewport, readerOptions);
       } else if (lower.endsWith('.step') || lower.endsWith('.stp')) {
         viewport = viewerManager.createViewport(name);
         await loadStep(file, card, viewport, readerOptions);
+      } else if (lower.endsWith('.iges') || lower.endsWith('.igs')) {
+        viewport = viewerManager.createViewport(name);
+        await loadIges(file, card, viewport, readerOptions);
+      } else if (lower.endsWith('.brep') || lower.endsWith('.brp')) {
+        viewport = viewerManager.createViewport(name);
+        await loadBrep(file, card, viewport, readerOptions);
       } else if (lower.endsWith('.dxf')) {
         viewport = viewerManager.createViewport(name);
         await loadDxf(file, card, viewport, readerOptions);
       } else {
         updateCardBody(card, '<div class="warn">Unsupported file type.</div>');
       }
+      const model = viewport && models.find((entry) => entry.viewport === viewport);
+      if (model) {
+        // Looked up on click: re-tessellating replaces the model entry
+        const current = () => models.find((entry) => entry.viewport === viewport);
+        viewport.addAction('Export flat DXF', () => exportFlatPattern(current()));
+      }
     } catch (error) {
-      console.error('Failed to process file.', error);
-      updateCardBody(card, `<div class="warn">Failed to load: ${error.message || error}</div>`);
+      if (error && error.name === 'AbortError') {
+        updateCardBody(card, '<div class="muted small">Loading cancelled.</div>');
+      } else {
+        console.error('Failed to process file.', error);
+        updateCardBody(card, `<div class="warn">Failed to load: ${error.message || error}</div>${error.reportHtml || ''}`);
+      }
       if (viewport) {
         viewerManager.removeViewport(viewport);
       }
@@ -116,6 +158,67 @@ async function handleFiles(fileList) {
   }
 }
 
+function createReaderOptions() {
+  return {
+    stlUnitEl,
+    dxfHatchModeEl,
+    dxfTextModeEl,
+    dxfLinetypeModeEl,
+    dxfFillModeEl,
+    stepQualityEl,
+    stepDeflectionTypeEl,
+    stepLinearDeflectionEl,
+    stepAngularDeflectionEl,
+    precisionEl,
+    addCard,
+    updateCardBody,
+    computeBoundsFromPositions,
+    computeBoundsFromGroup,
+    dimsFromBounds,
+    analyzeSheetMetal,
+    formatDims,
+    formatLaserCutAnalysis,
+    analyzeCylindricalFaces,
+    formatCylinderAnalysis,
+    models,
+    ensureOcctModule,
+    retessellateModel,
+  };
+}
+
+// Re-imports an OCCT model from the file it was dropped as, with the current
+// tessellation settings, into the same card and viewer window
+async function retessellateModel(model) {
+  if (!model || !model.file || model.card.classList.contains('pending')) {
+    return;
+  }
+  const previousBody = model.card.querySelector('.card-body').innerHTML;
+  model.card.classList.add('pending');
+  if (loading) {
+    loading.classList.add('show');
+  }
+  try {
+    // The loader replaces this model's entry in `models`
+    await OCCT_LOADERS[model.kind](model.file, model.card, model.viewport, createReaderOptions());
+    model.group.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  } catch (error) {
+    // The previous mesh is still shown, so its results go back on the card
+    updateCardBody(model.card, previousBody);
+    if (!error || error.name !== 'AbortError') {
+      console.error('Failed to re-tessellate model.', error);
+      window.alert(`Re-tessellation failed: ${error.message || error}`);
+    }
+  } finally {
+    model.card.classList.remove('pending');
+    if (loading) {
+      loading.classList.remove('show');
+    }
+  }
+}
+
 async function ensureOcctModule() {
   if (occtModulePromise) {
     return occtModulePromise;
@@ -236,7 +339,7 @@ function dimsFromBounds(bounds) {
   };
 }
 
-function analyzeSheetMetal(group, metadata = null) {
+function analyzeSheetMetal(group, metadata = null, options = {}) {
   if (!group) {
     return createEmptyAnalysis();
   }
@@ -245,7 +348,7 @@ function analyzeSheetMetal(group, metadata = null) {
 
   // For DXF files with metadata, use entity-aware analysis
   if (metadata && metadata.kind === 'dxf') {
-    return analyzeDxfEntities(group, metadata);
+    return analyzeDxfEntities(group, metadata, options);
   }
 
   const perMesh = [];
@@ -255,7 +358,15 @@ function analyzeSheetMetal(group, metadata = null) {
     }
 
     if (child.isMesh) {
-      const result = analyzeGeometry(child.geometry, child.matrixWorld);
+      // Assembly nodes share their meshes with the parent, so results can be
+      // kept in options.meshCache and reused for every level of the tree
+      const { meshCache } = options;
+      const result = meshCache && meshCache.has(child)
+        ? meshCache.get(child)
+        : analyzeGeometry(child.geometry, child.matrixWorld);
+      if (meshCache) {
+        meshCache.set(child, result);
+      }
       if (result) {
         perMesh.push(result);
       }
@@ -275,29 +386,32 @@ function analyzeSheetMetal(group, metadata = null) {
   return mergeAnalyses(perMesh);
 }
 
-function analyzeDxfEntities(group, metadata) {
+function analyzeDxfEntities(group, metadata, options = {}) {
   const analysis = createEmptyAnalysis();
   const allLoops = [];
   let totalLength = 0;
 
-  group.traverse((child) => {
-    if (!child || !child.geometry) return;
-
-    const isClosed = child.type === 'LineLoop';
-    const geometry = child.geometry;
-    const positionAttr = geometry.getAttribute('position');
-    if (!positionAttr) return;
-
-    const matrix = child.matrixWorld || new THREE.Matrix4();
-    const points = [];
-    const temp = new THREE.Vector3();
-
-    for (let i = 0; i < positionAttr.count; i += 1) {
-      temp.set(positionAttr.getX(i), positionAttr.getY(i), positionAttr.getZ(i));
-      temp.applyMatrix4(matrix);
-      points.push(temp.clone());
-    }
+  // CAM output usually arrives as loose LINE/ARC entities, so join them into
+  // contours first; the loop measurements below then see the same closed
+  // loops a closed LWPOLYLINE would have produced.
+  // options.layers, when given, is the set of layer names that count
+  // toward the analysis; everything else is drawn but not measured.
+  const included = (object) => !options.layers || options.layers.has(object.userData.layer || '0');
+  const chains = collectDxfChains(group, included);
+
+  // Dashed and center lines mark bends and hole centres rather than cuts
+  let cutChains = chains;
+  if ((options.linetypeMode || 'exclude') === 'exclude') {
+    cutChains = chains.filter((chain) => !chain.linetype);
+    chains.filter((chain) => chain.linetype).forEach(({ points }) => {
+      for (let i = 0; i < points.length - 1; i += 1) {
+        analysis.linetypeLengthMm += points[i].distanceTo(points[i + 1]);
+      }
+    });
+  }
+  const contours = buildDxfContours(cutChains, CONTOUR_JOIN_TOLERANCE_MM);
 
+  contours.forEach(({ points, closed: isClosed, layer }) => {
     if (points.length < 2) return;
 
     // Calculate loop properties
@@ -319,13 +433,14 @@ function analyzeDxfEntities(group, metadata) {
 
     if (!isClosed || length < 0.01) {
       if (!isClosed && length > 0.01) {
-        analysis.openLoops.push({
+        allLoops.push({
           closed: false,
           lengthMm: length,
           approxDiameterMm: 0,
           vertexCount: points.length,
           centroid: null,
           circularity: 0,
+          layer,
         });
         totalLength += length;
       }
@@ -390,6 +505,7 @@ function analyzeDxfEntities(group, metadata) {
       vertexCount: points.length,
       centroid,
       circularity,
+      layer,
     });
     totalLength += length;
   });
@@ -410,16 +526,480 @@ function analyzeDxfEntities(group, metadata) {
   analysis.loops = [...uniqueLoops, ...openLoops];
   analysis.openLoops = openLoops;
   analysis.totalCutLengthMm = totalLength;
-  analysis.flatPattern = {
-    isLikelyFlat: true,
-    dominantPlane: 'Z',
-    largestPatchRatio: 1,
-    aspectRatio: 0,
-  };
+
+  const lengthByLayer = new Map();
+  allLoops.forEach((loop) => {
+    const name = loop.layer || '0';
+    lengthByLayer.set(name, (lengthByLayer.get(name) || 0) + loop.lengthMm);
+  });
+  analysis.cutLengthByLayer = [...lengthByLayer.entries()]
+    .map(([layer, lengthMm]) => ({ layer, lengthMm }))
+    .sort((a, b) => b.lengthMm - a.lengthMm);
+
+  // Hatch boundaries never add to the cut length; they either report as
+  // engraving area or are left out entirely.
+  if ((options.hatchMode || 'engrave') === 'engrave') {
+    const regions = measureDxfHatches(group, included);
+    analysis.engraving.regionCount += regions.length;
+    analysis.engraving.areaMm2 += regions.reduce((sum, region) => sum + region.areaMm2, 0);
+  }
+
+  // SOLID/TRACE fills are drawing-only unless the user engraves them
+  if (options.fillMode === 'engrave') {
+    const fills = measureDxfFills(group, included);
+    analysis.engraving.regionCount += fills.length;
+    analysis.engraving.areaMm2 += fills.reduce((sum, fill) => sum + fill.areaMm2, 0);
+  }
+
+  analysis.dimensions = checkDxfDimensions(group, contours, uniqueLoops, included);
+
+  // Text is annotation unless the user asks for it to be engraved
+  if (options.textMode === 'engrave') {
+    const text = measureDxfText(group, included);
+    analysis.engraving.textCount += text.count;
+    analysis.engraving.lengthMm += text.lengthMm;
+  }
+
+  // 3D DXFs (3DFACE, polyface and polygon meshes, MESH) go through the same
+  // surface analysis as STL/STEP so bends and flat patterns are detected
+  const meshAnalysis = analyzeDxfMeshes(group, included);
+  if (meshAnalysis) {
+    analysis.bend = meshAnalysis.bend;
+    analysis.flatPattern = meshAnalysis.flatPattern;
+    if (!allLoops.length) {
+      const merged = mergeAnalyses([meshAnalysis]);
+      analysis.loops = merged.loops;
+      analysis.holes = merged.holes;
+      analysis.openLoops = merged.openLoops;
+      analysis.outerPerimeterMm = merged.outerPerimeterMm;
+      analysis.totalCutLengthMm = merged.totalCutLengthMm;
+    }
+  } else {
+    analysis.flatPattern = {
+      isLikelyFlat: true,
+      dominantPlane: 'Z',
+      largestPatchRatio: 1,
+      aspectRatio: 0,
+    };
+  }
 
   return analysis;
 }
 
+function analyzeDxfMeshes(group, included = () => true) {
+  // Every face entity becomes its own mesh, so merge them into one
+  // world-space geometry; shared edges between faces are what bend
+  // detection looks at.
+  const merged = mergeWorldMeshes(group, (child) => included(child)
+    && !['SOLID', 'TRACE', 'WIPEOUT'].includes(child.userData.type));
+  return merged ? analyzeGeometry(merged, null) : null;
+}
+
+function mergeWorldMeshes(group, accept = () => true) {
+  const positions = [];
+  const temp = new THREE.Vector3();
+  group.updateMatrixWorld(true);
+  group.traverse((child) => {
+    if (!child || !child.isMesh || !child.geometry || !accept(child)) return;
+    const geometry = child.geometry.index ? child.geometry.toNonIndexed() : child.geometry;
+    const positionAttr = geometry.getAttribute('position');
+    for (let i = 0; i < positionAttr.count; i += 1) {
+      temp.set(positionAttr.getX(i), positionAttr.getY(i), positionAttr.getZ(i)).applyMatrix4(child.matrixWorld);
+      positions.push(temp.x, temp.y, temp.z);
+    }
+  });
+  if (!positions.length) {
+    return null;
+  }
+  const merged = new THREE.BufferGeometry();
+  merged.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  return merged;
+}
+
+function readWorldPoints(object) {
+  const positionAttr = object.geometry && object.geometry.getAttribute('position');
+  if (!positionAttr) return null;
+
+  const matrix = object.matrixWorld || new THREE.Matrix4();
+  const points = [];
+  const temp = new THREE.Vector3();
+  for (let i = 0; i < positionAttr.count; i += 1) {
+    temp.set(positionAttr.getX(i), positionAttr.getY(i), positionAttr.getZ(i));
+    temp.applyMatrix4(matrix);
+    points.push(temp.clone());
+  }
+  return points;
+}
+
+function collectDxfChains(group, included = () => true) {
+  const chains = [];
+  group.traverse((child) => {
+    if (!child || !child.isLine || !child.geometry) return;
+    if (['HATCH', 'TEXT', 'DIMENSION'].includes(child.userData.type)) return;
+    if (!included(child)) return;
+
+    const points = readWorldPoints(child);
+    if (!points) return;
+
+    chains.push({
+      points,
+      closed: child.type === 'LineLoop',
+      layer: child.userData.layer || null,
+      linetype: child.userData.linetype || null,
+    });
+  });
+  return chains;
+}
+
+function buildDxfContours(chains, tolerance) {
+  const contours = [];
+  const open = [];
+  chains.forEach((chain) => {
+    if (chain.closed) {
+      contours.push(chain);
+    } else if (chain.points.length >= 2) {
+      open.push(chain);
+    }
+  });
+
+  // Bucket every open endpoint on a grid one tolerance wide so a lookup only
+  // has to scan the neighbouring cells.
+  const grid = new Map();
+  const cellOf = (value) => Math.floor(value / tolerance);
+  const addEndpoint = (point, index, atStart) => {
+    const key = `${cellOf(point.x)}|${cellOf(point.y)}|${cellOf(point.z)}`;
+    if (!grid.has(key)) {
+      grid.set(key, []);
+    }
+    grid.get(key).push({ index, atStart });
+  };
+  open.forEach((chain, index) => {
+    addEndpoint(chain.points[0], index, true);
+    addEndpoint(chain.points[chain.points.length - 1], index, false);
+  });
+
+  const used = new Array(open.length).fill(false);
+  const findMatch = (point, layer) => {
+    const cx = cellOf(point.x);
+    const cy = cellOf(point.y);
+    const cz = cellOf(point.z);
+    let best = null;
+    let bestDistance = tolerance;
+    for (let dx = -1; dx <= 1; dx += 1) {
+      for (let dy = -1; dy <= 1; dy += 1) {
+        for (let dz = -1; dz <= 1; dz += 1) {
+          const bucket = grid.get(`${cx + dx}|${cy + dy}|${cz + dz}`);
+          if (!bucket) continue;
+          for (const entry of bucket) {
+            const chain = open[entry.index];
+            if (used[entry.index] || chain.layer !== layer) continue;
+            const endpoint = entry.atStart ? chain.points[0] : chain.points[chain.points.length - 1];
+            const distance = endpoint.distanceTo(point);
+            if (distance <= bestDistance) {
+              best = entry;
+              bestDistance = distance;
+            }
+          }
+        }
+      }
+    }
+    return best;
+  };
+
+  const isClosedChain = (points) => points.length > 3
+    && points[0].distanceTo(points[points.length - 1]) <= tolerance;
+
+  for (let i = 0; i < open.length; i += 1) {
+    if (used[i]) continue;
+    used[i] = true;
+    const { layer } = open[i];
+    const points = open[i].points.slice();
+
+    // Walk forward from the tail, then backward from the head, dropping the
+    // shared endpoint of every segment that gets attached.
+    while (!isClosedChain(points)) {
+      const match = findMatch(points[points.length - 1], layer);
+      if (!match) break;
+      used[match.index] = true;
+      const next = open[match.index].points;
+      const ordered = match.atStart ? next : next.slice().reverse();
+      points.push(...ordered.slice(1));
+    }
+
+    while (!isClosedChain(points)) {
+      const match = findMatch(points[0], layer);
+      if (!match) break;
+      used[match.index] = true;
+      const previous = open[match.index].points;
+      const ordered = match.atStart ? previous.slice().reverse() : previous;
+      points.unshift(...ordered.slice(0, -1));
+    }
+
+    const closed = isClosedChain(points);
+    if (closed) {
+      // Snap the closing gap so the loop ends exactly where it started.
+      points[points.length - 1] = points[0].clone();
+    }
+    contours.push({ points, closed, layer });
+  }
+
+  return contours;
+}
+
+function measureDxfHatches(group, included = () => true) {
+  const regions = [];
+  group.traverse((child) => {
+    if (!child || child.isLine || !child.userData || child.userData.type !== 'HATCH') return;
+    if (!included(child)) return;
+
+    const loops = [];
+    child.children.forEach((path) => {
+      const points = path.isLine ? readWorldPoints(path) : null;
+      if (!points || points.length < 3) return;
+      if (points[0].distanceTo(points[points.length - 1]) <= VERTEX_MERGE_TOLERANCE) {
+        points.pop();
+      }
+      loops.push(points);
+    });
+
+    // Paths nested inside an odd number of other paths are islands, which
+    // the fill skips.
+    let areaMm2 = 0;
+    loops.forEach((loop, index) => {
+      const depth = loops.filter((other, j) => j !== index && isPointInPolygon2D(loop[0], other)).length;
+      areaMm2 += (depth % 2 === 0 ? 1 : -1) * polygonArea2D(loop);
+    });
+    if (loops.length) {
+      regions.push({ areaMm2: Math.max(areaMm2, 0), layer: child.userData.layer || null });
+    }
+  });
+  return regions;
+}
+
+function measureDxfFills(group, included = () => true) {
+  const fills = [];
+  group.traverse((child) => {
+    if (!child || !child.isMesh || !['SOLID', 'TRACE'].includes(child.userData.type)) return;
+    if (!included(child)) return;
+    const points = readWorldPoints(child);
+    if (!points) return;
+    fills.push({ areaMm2: sumTriangleArea(points), layer: child.userData.layer || null });
+  });
+  return fills;
+}
+
+function sumTriangleArea(points) {
+  let area = 0;
+  const ab = new THREE.Vector3();
+  const ac = new THREE.Vector3();
+  for (let i = 0; i + 2 < points.length; i += 3) {
+    ab.subVectors(points[i + 1], points[i]);
+    ac.subVectors(points[i + 2], points[i]);
+    area += ab.cross(ac).length() / 2;
+  }
+  return area;
+}
+
+// Drawn length of an entity (summed over the contents of a block reference)
+// and the area of any faces, both in world millimetres
+function measureDxfEntity(object) {
+  object.updateWorldMatrix(true, true);
+  let lengthMm = 0;
+  let areaMm2 = 0;
+  object.traverse((child) => {
+    if (!child.geometry || child.userData.type === 'HATCH') return;
+    const points = readWorldPoints(child);
+    if (!points) return;
+    if (child.isMesh) {
+      areaMm2 += sumTriangleArea(points);
+    } else if (child.isLineSegments) {
+      for (let i = 0; i + 1 < points.length; i += 2) {
+        lengthMm += points[i].distanceTo(points[i + 1]);
+      }
+    } else if (child.isLine) {
+      for (let i = 1; i < points.length; i += 1) {
+        lengthMm += points[i - 1].distanceTo(points[i]);
+      }
+      if (child.type === 'LineLoop' && points.length > 2) {
+        lengthMm += points[points.length - 1].distanceTo(points[0]);
+      }
+    }
+  });
+  return { lengthMm, areaMm2 };
+}
+
+function findInspectableEntity(object) {
+  for (let current = object; current; current = current.parent) {
+    if (current.userData && current.userData.entity) return current;
+  }
+  return null;
+}
+
+function isShownInViewport(object) {
+  for (let current = object; current; current = current.parent) {
+    if (!current.visible) return false;
+  }
+  return true;
+}
+
+function formatInspectorLabel(key) {
+  const words = key.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function formatInspectorValue(key, value) {
+  const number = (n) => `${Number(n.toFixed(4))}`;
+  if (typeof value === 'number') {
+    return ANGLE_PARAMS.has(key) ? `${number(value)}°` : number(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'yes' : 'no';
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => formatInspectorValue(key, item)).join(', ');
+  }
+  if (value && typeof value === 'object' && 'x' in value) {
+    return [value.x, value.y, value.z].map(number).join(', ');
+  }
+  return String(value);
+}
+
+function checkDxfDimensions(group, contours, closedLoops, included = () => true) {
+  const vertices = [];
+  contours.forEach((contour) => {
+    for (const point of contour.points) vertices.push(point);
+  });
+
+  const nearestVertex = (point, tolerance) => {
+    let best = null;
+    let bestDistance = tolerance;
+    for (const vertex of vertices) {
+      const distance = vertex.distanceTo(point);
+      if (distance <= bestDistance) {
+        best = vertex;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  };
+
+  const checks = [];
+  group.traverse((child) => {
+    if (!child || !child.userData || child.userData.type !== 'DIMENSION') return;
+    if (!included(child)) return;
+    const dim = child.userData;
+    const matrix = child.matrixWorld;
+    // Cloned block instances carry their points as plain {x, y, z} objects
+    const toWorld = (point) => (point ? new THREE.Vector3().copy(point).applyMatrix4(matrix) : null);
+    const isAngular = dim.kind === 'angular';
+    // Drawing units → mm through the same transform the geometry received
+    const scale = isAngular ? 1 : matrix.getMaxScaleOnAxis();
+    const drawingValue = dim.statedValue !== null ? Math.abs(dim.statedValue) * scale : null;
+    const measuredValue = dim.measurement === null
+      ? null
+      : (isAngular ? THREE.MathUtils.radToDeg(dim.measurement) : dim.measurement * scale);
+
+    let geometryValue = null;
+    if ((dim.kind === 'linear' || dim.kind === 'aligned') && dim.points.first && dim.points.second) {
+      const reference = measuredValue || drawingValue || 0;
+      const snapTolerance = Math.max(0.05, reference * 0.005);
+      const a = nearestVertex(toWorld(dim.points.first), snapTolerance);
+      const b = nearestVertex(toWorld(dim.points.second), snapTolerance);
+      if (a && b) {
+        const delta = new THREE.Vector3().subVectors(b, a);
+        if (dim.kind === 'linear') {
+          const direction = new THREE.Vector3(Math.cos(dim.rotation), Math.sin(dim.rotation), 0)
+            .transformDirection(matrix);
+          geometryValue = Math.abs(delta.dot(direction));
+        } else {
+          geometryValue = delta.length();
+        }
+      }
+    } else if ((dim.kind === 'radius' || dim.kind === 'diameter') && dim.points.definition && dim.points.target) {
+      const definition = toWorld(dim.points.definition);
+      const target = toWorld(dim.points.target);
+      const center = dim.kind === 'radius'
+        ? definition
+        : new THREE.Vector3().addVectors(definition, target).multiplyScalar(0.5);
+      const diameter = definition.distanceTo(target) * (dim.kind === 'radius' ? 2 : 1);
+      const centerTolerance = Math.max(0.05, diameter * 0.05);
+      let match = null;
+      let matchDistance = centerTolerance;
+      for (const loop of closedLoops) {
+        if (!loop.centroid) continue;
+        const distance = loop.centroid.distanceTo(center);
+        if (distance <= matchDistance) {
+          match = loop;
+          matchDistance = distance;
+        }
+      }
+      if (match) {
+        geometryValue = dim.kind === 'radius' ? match.approxDiameterMm / 2 : match.approxDiameterMm;
+      }
+    }
+
+    // Values agree when they round to the same text at the drawing's precision
+    const tolerance = 0.5 * 10 ** -dim.statedDecimals * scale + 1e-6;
+    const differs = (value) => drawingValue !== null && value !== null && Math.abs(drawingValue - value) > tolerance;
+    checks.push({
+      kind: dim.kind,
+      overridden: dim.overridden,
+      drawingValue,
+      measuredValue,
+      geometryValue,
+      unit: isAngular ? '°' : 'mm',
+      mismatch: differs(geometryValue),
+      // Typed text that disagrees with the dimension's own measurement (code 42)
+      textMismatch: differs(measuredValue),
+    });
+  });
+  return checks;
+}
+
+function measureDxfText(group, included = () => true) {
+  let count = 0;
+  let lengthMm = 0;
+  group.traverse((child) => {
+    if (!child || !child.isLineSegments || child.userData.type !== 'TEXT') return;
+    if (!included(child)) return;
+    const points = readWorldPoints(child);
+    if (!points) return;
+    count += 1;
+    for (let i = 0; i < points.length - 1; i += 2) {
+      lengthMm += points[i].distanceTo(points[i + 1]);
+    }
+  });
+  return { count, lengthMm };
+}
+
+function polygonArea2D(points) {
+  return Math.abs(signedArea2D(points));
+}
+
+// Positive for counter-clockwise points
+function signedArea2D(points) {
+  let twiceArea = 0;
+  for (let i = 0; i < points.length; i += 1) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    twiceArea += a.x * b.y - b.x * a.y;
+  }
+  return twiceArea / 2;
+}
+
+function isPointInPolygon2D(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y)
+      && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
 function createEmptyBendStats() {
   return {
     totalEdges: 0,
@@ -439,6 +1019,15 @@ function createEmptyAnalysis() {
     openLoops: [],
     outerPerimeterMm: null,
     totalCutLengthMm: 0,
+    cutLengthByLayer: [],
+    linetypeLengthMm: 0,
+    engraving: {
+      areaMm2: 0,
+      regionCount: 0,
+      lengthMm: 0,
+      textCount: 0,
+    },
+    dimensions: [],
     bend: createEmptyBendStats(),
     flatPattern: {
       isLikelyFlat: false,
@@ -673,7 +1262,7 @@ function analyzeGeometry(geometry, matrixWorld) {
 
   const loops = [];
 
-  patchEdges.forEach((edgeList) => {
+  patchEdges.forEach((edgeList, patchId) => {
     if (!edgeList.length) {
       return;
     }
@@ -737,6 +1326,7 @@ function analyzeGeometry(geometry, matrixWorld) {
       loops.push({
         vertices: loop,
         closed,
+        patchId,
       });
     }
   });
@@ -749,11 +1339,27 @@ function analyzeGeometry(geometry, matrixWorld) {
 
   const flatPattern = analyzeFlatPattern(patches, boundsSize);
 
+  // Boundary loops of the largest planar patch: the outline and holes a flat
+  // pattern export cuts
+  let dominantPatch = -1;
+  patches.forEach((patch, patchId) => {
+    if (dominantPatch === -1 || patch.faces.length > patches[dominantPatch].faces.length) {
+      dominantPatch = patchId;
+    }
+  });
+  const profile = dominantPatch === -1 ? null : {
+    normal: patches[dominantPatch].normal.clone(),
+    loops: loops
+      .filter((loop) => loop.closed && loop.patchId === dominantPatch)
+      .map((loop) => loop.vertices.slice(0, -1).map((index) => uniqueVertices[index])),
+  };
+
   return {
     loops: uniqueLoopSummaries,
     totalCutLengthMm,
     bend: bendStats,
     flatPattern,
+    profile,
   };
 }
 
@@ -1099,6 +1705,254 @@ function mergeAnalyses(meshAnalyses) {
   return combined;
 }
 
+// B-rep faces whose triangle normals are all perpendicular to one direction
+// and whose vertices sit on one circle around it are cylinders. OCCT places
+// tessellation vertices on the exact surface, so the fitted radius is the
+// modelled one rather than a chord-limited estimate.
+function fitCylinder(points, triangles) {
+  if (triangles.length < 2 || points.length < 4) {
+    return null;
+  }
+  const reference = triangles.reduce((best, triangle) => (triangle.area > best.area ? triangle : best)).normal;
+  const axis = new THREE.Vector3();
+  const cross = new THREE.Vector3();
+  let spread = 0;
+  triangles.forEach(({ normal, area }) => {
+    cross.crossVectors(reference, normal);
+    spread = Math.max(spread, cross.length());
+    if (cross.dot(axis) < 0) cross.negate();
+    axis.addScaledVector(cross, area);
+  });
+  // Normals that barely turn belong to a plane
+  if (spread < CYLINDER_NORMAL_TOLERANCE) {
+    return null;
+  }
+  axis.normalize();
+  if (triangles.some(({ normal }) => Math.abs(normal.dot(axis)) > CYLINDER_NORMAL_TOLERANCE)) {
+    return null;
+  }
+
+  // A fixed sign and basis per direction lets faces of one cylinder be merged
+  const major = ['x', 'y', 'z'].reduce((best, key) => (Math.abs(axis[key]) > Math.abs(axis[best]) ? key : best));
+  if (axis[major] < 0) axis.negate();
+  const helper = Math.abs(axis.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+  const u = helper.addScaledVector(axis, -helper.dot(axis)).normalize();
+  const v = new THREE.Vector3().crossVectors(axis, u);
+
+  // Algebraic circle fit: x² + y² + Dx + Ey + F = 0 by least squares, on
+  // coordinates relative to the mean so parts far from the origin stay precise
+  const flat = points.map((point) => ({ x: point.dot(u), y: point.dot(v), h: point.dot(axis) }));
+  const meanX = flat.reduce((sum, { x }) => sum + x, 0) / flat.length;
+  const meanY = flat.reduce((sum, { y }) => sum + y, 0) / flat.length;
+  const sums = {
+    xx: 0, xy: 0, yy: 0, x: 0, y: 0, xz: 0, yz: 0, z: 0,
+  };
+  flat.forEach((point) => {
+    const x = point.x - meanX;
+    const y = point.y - meanY;
+    const z = x * x + y * y;
+    sums.xx += x * x;
+    sums.xy += x * y;
+    sums.yy += y * y;
+    sums.x += x;
+    sums.y += y;
+    sums.xz += x * z;
+    sums.yz += y * z;
+    sums.z += z;
+  });
+  const n = flat.length;
+  const det3 = (m) => m[0] * (m[4] * m[8] - m[5] * m[7]) - m[1] * (m[3] * m[8] - m[5] * m[6]) + m[2] * (m[3] * m[7] - m[4] * m[6]);
+  const matrix = [sums.xx, sums.xy, sums.x, sums.xy, sums.yy, sums.y, sums.x, sums.y, n];
+  const det = det3(matrix);
+  if (Math.abs(det) < 1e-12) {
+    return null;
+  }
+  const rhs = [-sums.xz, -sums.yz, -sums.z];
+  const solve = (column) => {
+    const m = matrix.slice();
+    [0, 1, 2].forEach((row) => {
+      m[row * 3 + column] = rhs[row];
+    });
+    return det3(m) / det;
+  };
+  const offsetX = -solve(0) / 2;
+  const offsetY = -solve(1) / 2;
+  const radius = Math.sqrt(offsetX * offsetX + offsetY * offsetY - solve(2));
+  const cx = meanX + offsetX;
+  const cy = meanY + offsetY;
+  if (!Number.isFinite(radius) || radius <= 0) {
+    return null;
+  }
+  const deviation = Math.sqrt(flat.reduce((sum, { x, y }) => sum + (Math.hypot(x - cx, y - cy) - radius) ** 2, 0) / n);
+  if (deviation > radius * CYLINDER_FIT_TOLERANCE) {
+    return null;
+  }
+
+  // Normals pointing at the axis mean the material is outside: a hole
+  const inward = triangles.reduce((sum, { normal, center, area }) => {
+    const radial = normal.dot(u) * (center.dot(u) - cx) + normal.dot(v) * (center.dot(v) - cy);
+    return sum + (radial < 0 ? area : -area);
+  }, 0);
+  const heights = flat.map(({ h }) => h);
+  const low = Math.min(...heights);
+  const high = Math.max(...heights);
+  return {
+    axis,
+    // A point on the axis level with the face; far from the world origin a
+    // point there would move with the slightest error in the axis direction
+    center: u.clone().multiplyScalar(cx).addScaledVector(v, cy).addScaledVector(axis, (low + high) / 2),
+    radius,
+    concave: inward > 0,
+    low,
+    high,
+    angles: flat.map(({ x, y }) => Math.atan2(y - cy, x - cx)),
+  };
+}
+
+// Full when no gap between vertex angles is much wider than the usual
+// facet, so coarse tessellations of whole cylinders still count
+function isFullCylinder(angles) {
+  const sorted = angles.slice().sort((a, b) => a - b);
+  const gaps = sorted.slice(1).map((angle, i) => angle - sorted[i]);
+  gaps.push(sorted[0] + 2 * Math.PI - sorted[sorted.length - 1]);
+  const widest = Math.max(...gaps);
+  const facets = gaps.filter((gap) => gap > 1e-6).sort((a, b) => a - b);
+  const typical = facets.length ? facets[Math.floor(facets.length / 2)] : 0;
+  return 2 * Math.PI - widest >= (FULL_CYLINDER_SWEEP_DEG * Math.PI) / 180 || widest <= typical * 1.5;
+}
+
+function distanceToAxis(point, cylinder) {
+  const offset = new THREE.Vector3().subVectors(point, cylinder.center);
+  return offset.addScaledVector(cylinder.axis, -offset.dot(cylinder.axis)).length();
+}
+
+function isSameCylinder(a, b) {
+  const tolerance = Math.max(a.radius, b.radius) * 1e-3 + 1e-3;
+  return Math.abs(a.radius - b.radius) <= tolerance
+    && a.concave === b.concave
+    && a.axis.dot(b.axis) > 1 - 1e-4
+    && distanceToAxis(b.center, a) <= tolerance
+    && a.low <= b.high + tolerance
+    && b.low <= a.high + tolerance;
+}
+
+// Reads occt-import-js `brep_faces` triangle ranges (kept on
+// geometry.userData.brepFaces) and reports full cylinders as holes or bosses
+// and partial ones as radii. When `analysis` is given, its mesh-based holes
+// get the matching exact diameter as `exactDiameterMm`.
+function analyzeCylindricalFaces(group, analysis = null) {
+  const cylinders = [];
+  group.updateMatrixWorld(true);
+  group.traverse((child) => {
+    const faces = child.isMesh && child.geometry.userData.brepFaces;
+    if (!faces || !child.geometry.index) {
+      return;
+    }
+    const positions = child.geometry.getAttribute('position');
+    const index = child.geometry.index;
+    faces.forEach(({ first, last }) => {
+      const points = new Map();
+      const triangles = [];
+      for (let t = first; t <= last && (t * 3 + 2) < index.count; t += 1) {
+        const corners = [0, 1, 2].map((k) => {
+          const vertex = index.getX(t * 3 + k);
+          if (!points.has(vertex)) {
+            points.set(vertex, new THREE.Vector3().fromBufferAttribute(positions, vertex).applyMatrix4(child.matrixWorld));
+          }
+          return points.get(vertex);
+        });
+        const normal = new THREE.Vector3().crossVectors(
+          new THREE.Vector3().subVectors(corners[1], corners[0]),
+          new THREE.Vector3().subVectors(corners[2], corners[0]),
+        );
+        const area = normal.length() / 2;
+        if (area < 1e-12) continue;
+        triangles.push({
+          normal: normal.normalize(),
+          area,
+          center: corners[0].clone().add(corners[1]).add(corners[2]).divideScalar(3),
+        });
+      }
+      const cylinder = fitCylinder([...points.values()], triangles);
+      if (!cylinder) {
+        return;
+      }
+      // OCCT splits a full cylinder at its seam into several faces
+      const existing = cylinders.find((entry) => isSameCylinder(entry, cylinder));
+      if (existing) {
+        existing.angles.push(...cylinder.angles);
+        existing.low = Math.min(existing.low, cylinder.low);
+        existing.high = Math.max(existing.high, cylinder.high);
+      } else {
+        cylinders.push(cylinder);
+      }
+    });
+  });
+
+  const result = { holes: [], bosses: [], radii: [], count: cylinders.length };
+  const groupBy = (list, key, value, extra = {}) => {
+    const found = list.find((entry) => entry.key === key);
+    if (found) {
+      found.count += 1;
+    } else {
+      list.push({ key, valueMm: value, count: 1, ...extra });
+    }
+  };
+  cylinders.forEach((cylinder) => {
+    const diameter = cylinder.radius * 2;
+    cylinder.full = isFullCylinder(cylinder.angles);
+    if (cylinder.full) {
+      groupBy(cylinder.concave ? result.holes : result.bosses, diameter.toFixed(2), diameter);
+    } else {
+      groupBy(result.radii, `${cylinder.radius.toFixed(2)}|${cylinder.concave}`, cylinder.radius, { concave: cylinder.concave });
+    }
+  });
+  ['holes', 'bosses', 'radii'].forEach((key) => result[key].sort((a, b) => a.valueMm - b.valueMm));
+
+  if (analysis) {
+    analysis.holes.forEach((hole) => {
+      if (!hole.centroid) return;
+      const match = cylinders.find((cylinder) => {
+        if (!cylinder.full || !cylinder.concave) return false;
+        return distanceToAxis(hole.centroid, cylinder) <= cylinder.radius * 0.1
+          && Math.abs(hole.approxDiameterMm - cylinder.radius * 2) <= cylinder.radius * 0.2;
+      });
+      if (match) {
+        hole.exactDiameterMm = match.radius * 2;
+      }
+    });
+  }
+  return result;
+}
+
+function formatCylinderAnalysis(cylinders, decimals) {
+  if (!cylinders || !cylinders.count) {
+    return '';
+  }
+  const places = Number.isFinite(decimals) ? Math.max(0, decimals) : 2;
+  const rows = [
+    ...cylinders.holes.map((entry) => ['Hole', `Ø${entry.valueMm.toFixed(places)} mm`, entry.count]),
+    ...cylinders.bosses.map((entry) => ['Boss / shaft', `Ø${entry.valueMm.toFixed(places)} mm`, entry.count]),
+    ...cylinders.radii.map((entry) => [entry.concave ? 'Inside radius' : 'Outside radius', `R${entry.valueMm.toFixed(places)} mm`, entry.count]),
+  ];
+  const total = (list) => list.reduce((sum, entry) => sum + entry.count, 0);
+  const summary = [
+    [total(cylinders.holes), 'hole', 'holes'],
+    [total(cylinders.bosses), 'boss', 'bosses'],
+    [total(cylinders.radii), 'bend or fillet radius', 'bend or fillet radii'],
+  ].map(([count, one, many]) => `${count} ${count === 1 ? one : many}`).join(', ');
+  return `
+    <div class="metric">
+      <div class="metric-label">⭕ Cylindrical faces (exact, from B-rep)</div>
+      <div class="metric-sub">${summary}</div>
+      <table class="metric-table">
+        <tr><th>Feature</th><th>Size</th><th>Count</th></tr>
+        ${rows.map(([kind, size, count]) => `<tr><td>${kind}</td><td>${size}</td><td>${count}</td></tr>`).join('')}
+      </table>
+    </div>
+  `;
+}
+
 function formatLaserCutAnalysis(analysis, decimals) {
   if (!analysis) {
     return '';
@@ -1139,6 +1993,36 @@ function formatLaserCutAnalysis(analysis, decimals) {
         <div class="metric-label">🔪 Total Cut Length</div>
         <div class="metric-value">${formatMm(analysis.totalCutLengthMm)}</div>
         <div class="metric-sub">${formatIn(analysis.totalCutLengthMm)} • ${(totalInches / 12).toFixed(2)} feet</div>
+        ${analysis.cutLengthByLayer && analysis.cutLengthByLayer.length > 1
+          ? analysis.cutLengthByLayer.map(({ layer, lengthMm }) => `<div class="metric-sub">${escapeHtml(layer)}: ${formatMm(lengthMm)}</div>`).join('')
+          : ''}
+        ${analysis.linetypeLengthMm > 0
+          ? `<div class="metric-sub">Not counted: ${formatMm(analysis.linetypeLengthMm)} of dashed/center lines</div>`
+          : ''}
+      </div>
+    `);
+  }
+
+  const engraving = analysis.engraving;
+  if (engraving && (engraving.regionCount > 0 || engraving.textCount > 0)) {
+    const { areaMm2, regionCount, lengthMm, textCount } = engraving;
+    const parts = [];
+    if (regionCount > 0) {
+      parts.push(`
+        <div class="metric-value">${areaMm2.toFixed(places)} mm²</div>
+        <div class="metric-sub">${(areaMm2 * 0.0015500031).toFixed(places)} in² • ${regionCount} filled region${regionCount > 1 ? 's' : ''}</div>
+      `);
+    }
+    if (textCount > 0) {
+      parts.push(`
+        <div class="metric-value">${formatMm(lengthMm)}</div>
+        <div class="metric-sub">${formatIn(lengthMm)} • ${textCount} text entit${textCount > 1 ? 'ies' : 'y'}</div>
+      `);
+    }
+    sections.push(`
+      <div class="metric">
+        <div class="metric-label">✏️ Engraving (not in cut length)</div>
+        ${parts.join('')}
       </div>
     `);
   }
@@ -1154,21 +2038,23 @@ function formatLaserCutAnalysis(analysis, decimals) {
   }
 
   if (analysis.holes.length) {
-    const circularHoles = analysis.holes.filter((h) => h.circularity >= CIRCULARITY_THRESHOLD);
-    const nonCircularHoles = analysis.holes.filter((h) => h.circularity < CIRCULARITY_THRESHOLD);
+    const isRound = (h) => h.exactDiameterMm !== undefined || h.circularity >= CIRCULARITY_THRESHOLD;
+    const circularHoles = analysis.holes.filter(isRound);
+    const nonCircularHoles = analysis.holes.filter((h) => !isRound(h));
 
     const totalHolePerimeter = analysis.holes.reduce((sum, h) => sum + h.lengthMm, 0);
 
     const holeItems = analysis.holes.slice(0, 8).map((hole, index) => {
-      const isCircular = hole.circularity >= CIRCULARITY_THRESHOLD;
+      const isExact = hole.exactDiameterMm !== undefined;
+      const isCircular = isExact || hole.circularity >= CIRCULARITY_THRESHOLD;
       const shape = isCircular ? '●' : '▢';
-      const radius = hole.approxDiameterMm / 2;
-      const diameter = hole.approxDiameterMm;
+      const diameter = isExact ? hole.exactDiameterMm : hole.approxDiameterMm;
+      const radius = diameter / 2;
 
       if (isCircular) {
         return `
           <li>${shape} Hole ${index + 1}: Ø${diameter.toFixed(places)}mm (${(diameter * 0.0393700787).toFixed(places)}in)
-            <span class="metric-sub">R${radius.toFixed(places)}mm • ${(hole.circularity * 100).toFixed(0)}% circular</span>
+            <span class="metric-sub">R${radius.toFixed(places)}mm • ${isExact ? 'exact from B-rep' : `${(hole.circularity * 100).toFixed(0)}% circular`}</span>
           </li>
         `;
       }
@@ -1204,6 +2090,60 @@ function formatLaserCutAnalysis(analysis, decimals) {
     `);
   }
 
+  if (analysis.dimensions && analysis.dimensions.length) {
+    const kindLabels = {
+      linear: 'Linear', aligned: 'Aligned', angular: 'Angular', diameter: 'Diameter', radius: 'Radius', ordinate: 'Ordinate',
+    };
+    const formatValue = (value, unit) => (value === null || value === undefined ? '—' : `${value.toFixed(places)}${unit === '°' ? '°' : ''}`);
+    // Angular and ordinate dimensions, and those whose points do not land on
+    // the drawing, have no geometry value to compare against
+    const checked = analysis.dimensions.filter((dim) => dim.drawingValue !== null && dim.geometryValue !== null);
+    const mismatches = checked.filter((dim) => dim.mismatch).length;
+    const textMismatches = analysis.dimensions.filter((dim) => dim.textMismatch).length;
+    const unchecked = analysis.dimensions.length - checked.length;
+    const headline = [
+      !checked.length
+        ? 'None checked against geometry'
+        : mismatches
+          ? `⚠️ ${mismatches} of ${checked.length} disagree with geometry`
+          : `${checked.length} match geometry`,
+      textMismatches ? `✎ ${textMismatches} typed over with a different value` : '',
+    ].filter(Boolean).join(' • ');
+    // Disagreements first so the table never hides one past its last row
+    const rank = (dim) => (dim.mismatch ? 0 : dim.textMismatch ? 1 : 2);
+    const sorted = [...analysis.dimensions].sort((a, b) => rank(a) - rank(b));
+    const rows = sorted.slice(0, 12).map((dim) => {
+      const delta = dim.drawingValue !== null && dim.geometryValue !== null
+        ? dim.geometryValue - dim.drawingValue
+        : null;
+      return `
+        <tr class="${dim.mismatch ? 'mismatch' : dim.textMismatch ? 'text-mismatch' : ''}">
+          <td>${kindLabels[dim.kind] || dim.kind}${dim.overridden ? ' ✎' : ''}</td>
+          <td>${formatValue(dim.drawingValue, dim.unit)}</td>
+          <td>${dim.geometryValue === null ? '<span class="muted">not checked</span>' : formatValue(dim.geometryValue, dim.unit)}</td>
+          <td>${delta === null ? '—' : `${delta >= 0 ? '+' : ''}${delta.toFixed(places)}`}</td>
+        </tr>
+      `;
+    }).join('');
+    const more = analysis.dimensions.length > 12
+      ? `<div class="metric-sub">…${analysis.dimensions.length - 12} more dimensions</div>`
+      : '';
+
+    sections.push(`
+      <div class="metric">
+        <div class="metric-label">📐 Dimension Check</div>
+        <div class="metric-value">${headline}</div>
+        ${unchecked ? `<div class="metric-sub">${unchecked} not checked (angular, ordinate or not on the geometry)</div>` : ''}
+        <div class="metric-sub">Values in mm (angles in degrees) • ✎ text typed over the measurement</div>
+        <table class="metric-table">
+          <thead><tr><th>Dim</th><th>Drawing</th><th>Geometry</th><th>Δ</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+        ${more}
+      </div>
+    `);
+  }
+
   if (analysis.openLoops.length) {
     const openLength = analysis.openLoops.reduce((sum, loop) => sum + loop.lengthMm, 0);
     sections.push(`
@@ -1259,6 +2199,165 @@ function formatLaserCutAnalysis(analysis, decimals) {
   return `<div class="metrics">${sections.join('')}</div>`;
 }
 
+// Layers a DXF flat pattern uses for marking and bend lines; everything
+// else that is drawn solid is cut
+const ETCH_LAYER_PATTERN = /etch|engrav|mark|scribe/i;
+const BEND_LAYER_PATTERN = /bend/i;
+
+function toFlatChain(points, closed) {
+  const flat = points.map((point) => ({ x: point.x, y: point.y }));
+  // Closed contours may repeat their first point at the end
+  if (closed && flat.length > 2) {
+    const first = flat[0];
+    const last = flat[flat.length - 1];
+    if (Math.hypot(first.x - last.x, first.y - last.y) <= CONTOUR_JOIN_TOLERANCE_MM) {
+      flat.pop();
+    }
+  }
+  return { points: flat, closed };
+}
+
+// Cut contours are oriented the way CAM expects: the outer profile
+// counter-clockwise, holes clockwise
+function orientCutChains(chains) {
+  const closed = chains.filter((chain) => chain.closed && chain.points.length > 2);
+  const outer = closed.reduce((best, chain) => (
+    !best || polygonArea2D(chain.points) > polygonArea2D(best.points) ? chain : best
+  ), null);
+  closed.forEach((chain) => {
+    const counterClockwise = signedArea2D(chain.points) > 0;
+    if (counterClockwise !== (chain === outer)) {
+      chain.points.reverse();
+    }
+  });
+  return [...(outer ? [outer] : []), ...chains.filter((chain) => chain !== outer)];
+}
+
+// Drawings often carry the same contour twice (copied layers, overlapping
+// entities); a cutter would run it twice
+function dedupeFlatChains(chains) {
+  const seen = new Set();
+  return chains.filter((chain) => {
+    let length = 0;
+    const centroid = { x: 0, y: 0 };
+    chain.points.forEach((point, index) => {
+      centroid.x += point.x / chain.points.length;
+      centroid.y += point.y / chain.points.length;
+      if (index > 0) {
+        length += Math.hypot(point.x - chain.points[index - 1].x, point.y - chain.points[index - 1].y);
+      }
+    });
+    const key = [centroid.x, centroid.y, length].map((value) => Math.round(value * 1000)).join('|');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function collectDxfFlatPattern(group, options = {}) {
+  group.updateMatrixWorld(true);
+  const included = (object) => !options.layers || options.layers.has(object.userData.layer || '0');
+  const chains = collectDxfChains(group, included);
+  const cut = [];
+  const etch = [];
+  const bend = [];
+  chains.forEach((chain) => {
+    const layer = chain.layer || '0';
+    if (BEND_LAYER_PATTERN.test(layer) || (chain.linetype && (options.linetypeMode || 'exclude') === 'exclude')) {
+      bend.push(chain);
+    } else if (ETCH_LAYER_PATTERN.test(layer)) {
+      etch.push(chain);
+    } else {
+      cut.push(chain);
+    }
+  });
+
+  const contours = (list) => buildDxfContours(list, CONTOUR_JOIN_TOLERANCE_MM)
+    .filter((contour) => contour.points.length >= 2)
+    .map((contour) => toFlatChain(contour.points, contour.closed));
+  const pattern = {
+    CUT: orientCutChains(dedupeFlatChains(contours(cut))),
+    ETCH: dedupeFlatChains(contours(etch)),
+    BEND: dedupeFlatChains(bend.map((chain) => toFlatChain(chain.points, chain.closed))),
+  };
+
+  // Engraved text goes out as its strokes
+  if (options.textMode === 'engrave') {
+    group.traverse((child) => {
+      if (!child.isLineSegments || child.userData.type !== 'TEXT' || !included(child)) return;
+      const points = readWorldPoints(child) || [];
+      for (let i = 0; i + 1 < points.length; i += 2) {
+        pattern.ETCH.push(toFlatChain([points[i], points[i + 1]], false));
+      }
+    });
+  }
+  return pattern;
+}
+
+// Outline and holes of the dominant planar face of a flat STL/STEP part,
+// laid flat with its lower-left corner at the origin. The part only counts
+// as flat when all of it lies in a thin slab parallel to that face.
+function collectMeshFlatPattern(group) {
+  const merged = mergeWorldMeshes(group);
+  const analysis = merged ? analyzeGeometry(merged, null) : null;
+  if (!analysis || !analysis.profile || !analysis.profile.loops.length) {
+    return null;
+  }
+  const { loops } = analysis.profile;
+  // The dominant face may be the underside; look at the part from the
+  // positive side of the axis its normal is closest to, or the blank comes
+  // out mirrored
+  const normal = analysis.profile.normal.clone();
+  const axis = ['x', 'y', 'z'].reduce((best, key) => (Math.abs(normal[key]) > Math.abs(normal[best]) ? key : best), 'x');
+  if (normal[axis] < 0) {
+    normal.negate();
+  }
+  const reference = Math.abs(normal.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+  const u = reference.addScaledVector(normal, -reference.dot(normal)).normalize();
+  const v = new THREE.Vector3().crossVectors(normal, u);
+  const flat = loops.map((loop) => loop.map((point) => ({ x: point.dot(u), y: point.dot(v) })));
+  const minX = flat.flat().reduce((min, point) => Math.min(min, point.x), Infinity);
+  const minY = flat.flat().reduce((min, point) => Math.min(min, point.y), Infinity);
+  const maxX = flat.flat().reduce((max, point) => Math.max(max, point.x), -Infinity);
+  const maxY = flat.flat().reduce((max, point) => Math.max(max, point.y), -Infinity);
+
+  const positions = merged.getAttribute('position');
+  const temp = new THREE.Vector3();
+  let low = Infinity;
+  let high = -Infinity;
+  for (let i = 0; i < positions.count; i += 1) {
+    const depth = temp.fromBufferAttribute(positions, i).dot(normal);
+    low = Math.min(low, depth);
+    high = Math.max(high, depth);
+  }
+  if ((high - low) * 5 > Math.min(maxX - minX, maxY - minY)) {
+    return null;
+  }
+  const chains = flat.map((loop) => toFlatChain(loop.map((point) => ({ x: point.x - minX, y: point.y - minY })), true));
+  return { CUT: orientCutChains(dedupeFlatChains(chains)), ETCH: [], BEND: [] };
+}
+
+function exportFlatPattern(model) {
+  const pattern = model.kind === 'dxf'
+    ? collectDxfFlatPattern(model.group, model.analysisOptions)
+    : collectMeshFlatPattern(model.group);
+  if (!pattern || !pattern.CUT.length) {
+    window.alert(model.kind === 'dxf'
+      ? 'No cut contours to export on the measured layers.'
+      : 'This part does not look like a flat blank, so there is no flat pattern to export.');
+    return;
+  }
+  const blob = new Blob([writeFlatPatternDxf(pattern)], { type: 'application/dxf' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${model.name.replace(/\.[^.]+$/, '')}-flat.dxf`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 function createBoundingBoxHelper(bounds) {
   const size = new THREE.Vector3();
   bounds.getSize(size);
@@ -1379,11 +2478,12 @@ class ModelViewport {
     this.root.className = 'viewer-window';
     this.titleEl = document.createElement('div');
     this.titleEl.className = 'viewer-window-title';
-    this.titleEl.textContent = title;
+    this.titleEl.appendChild(document.createTextNode(title));
     this.canvasHost = document.createElement('div');
     this.canvasHost.className = 'viewer-canvas';
     this.root.append(this.titleEl, this.canvasHost);
     parent.appendChild(this.root);
+    this.hiddenLayers = new Set();
 
     this.renderer = new THREE.WebGLRenderer({ antialias: true });
     this.renderer.setPixelRatio(window.devicePixelRatio || 1);
@@ -1409,12 +2509,43 @@ class ModelViewport {
     dir2.position.set(-1.5, -0.8, -1.25);
     this.scene.add(dir2);
 
+    // A click (not an orbit drag) on an entity opens the inspector
+    this.raycaster = new THREE.Raycaster();
+    this.highlighted = [];
+    const canvas = this.renderer.domElement;
+    canvas.addEventListener('pointerdown', (event) => {
+      this.pointerDown = { x: event.clientX, y: event.clientY };
+    });
+    canvas.addEventListener('pointerup', (event) => {
+      if (!this.pointerDown) return;
+      const moved = Math.hypot(event.clientX - this.pointerDown.x, event.clientY - this.pointerDown.y);
+      this.pointerDown = null;
+      if (moved < 4) {
+        this.inspect(this.pick(event));
+      }
+    });
+
     this.animate = this.animate.bind(this);
     this.animationId = requestAnimationFrame(this.animate);
   }
 
   setTitle(name) {
-    this.titleEl.textContent = name;
+    this.titleEl.firstChild.textContent = name;
+  }
+
+  addAction(label, onClick) {
+    if (!this.actionsEl) {
+      this.actionsEl = document.createElement('div');
+      this.actionsEl.className = 'viewer-actions';
+      this.titleEl.appendChild(this.actionsEl);
+    }
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'viewer-action';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    this.actionsEl.appendChild(button);
+    return button;
   }
 
   setModel(group, bounds) {
@@ -1432,7 +2563,9 @@ class ModelViewport {
       this.helper = null;
     }
 
+    this.inspect(null);
     this.currentGroup = group;
+    this.applyLayerVisibility();
     this.scene.add(group);
     this.bounds = bounds.clone();
     this.helper = createBoundingBoxHelper(this.bounds);
@@ -1441,6 +2574,239 @@ class ModelViewport {
     this.handleResize();
   }
 
+  setLayers(layers, { analyzed = new Set(), onAnalysisChange = null } = {}) {
+    if (this.layerPanel) {
+      this.layerPanel.remove();
+      this.layerPanel = null;
+    }
+    if (!layers || !layers.length) {
+      return;
+    }
+
+    const panel = document.createElement('details');
+    panel.className = 'viewer-layers';
+    const summary = document.createElement('summary');
+    summary.textContent = `Layers (${layers.length})`;
+    const table = document.createElement('table');
+    const head = document.createElement('tr');
+    ['', 'Layer', 'Show', 'Measure'].forEach((label) => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+
+    const createToggle = (checked, onChange) => {
+      const cell = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = checked;
+      input.addEventListener('change', () => onChange(input.checked));
+      cell.appendChild(input);
+      return cell;
+    };
+
+    layers.forEach((layer) => {
+      const row = document.createElement('tr');
+      const swatchCell = document.createElement('td');
+      const swatch = document.createElement('span');
+      swatch.className = 'layer-swatch';
+      swatch.style.background = `#${layer.color.toString(16).padStart(6, '0')}`;
+      swatchCell.appendChild(swatch);
+
+      const nameCell = document.createElement('td');
+      nameCell.textContent = layer.name;
+      const flags = [];
+      if (!layer.on) flags.push('off');
+      if (layer.frozen) flags.push('frozen');
+      if (layer.locked) flags.push('locked');
+      if (layer.linetype && layer.linetype.toUpperCase() !== 'CONTINUOUS') flags.push(layer.linetype);
+      if (flags.length) {
+        const note = document.createElement('span');
+        note.className = 'muted';
+        note.textContent = ` (${flags.join(', ')})`;
+        nameCell.appendChild(note);
+      }
+      nameCell.title = `${layer.objectCount} object${layer.objectCount === 1 ? '' : 's'}`;
+
+      const visible = layer.on && !layer.frozen;
+      this.setLayerVisible(layer.name, visible);
+      row.append(
+        swatchCell,
+        nameCell,
+        createToggle(visible, (checked) => this.setLayerVisible(layer.name, checked)),
+        createToggle(analyzed.has(layer.name), (checked) => {
+          if (checked) analyzed.add(layer.name);
+          else analyzed.delete(layer.name);
+          if (onAnalysisChange) onAnalysisChange(analyzed);
+        }),
+      );
+      table.appendChild(row);
+    });
+
+    panel.append(summary, table);
+    panel.addEventListener('toggle', () => this.handleResize());
+    this.root.insertBefore(panel, this.canvasHost);
+    this.layerPanel = panel;
+  }
+
+  setLayerVisible(name, visible) {
+    if (visible) {
+      this.hiddenLayers.delete(name);
+    } else {
+      this.hiddenLayers.add(name);
+    }
+    this.applyLayerVisibility();
+  }
+
+  applyLayerVisibility() {
+    if (!this.currentGroup) {
+      return;
+    }
+    this.currentGroup.traverse((child) => {
+      if (child.geometry) {
+        child.visible = !this.hiddenLayers.has(child.userData.layer || '0');
+      }
+    });
+  }
+
+  setSpaces(names, onSelect) {
+    if (this.spaceBar) {
+      this.spaceBar.remove();
+      this.spaceBar = null;
+    }
+    if (!names || names.length < 2) {
+      return;
+    }
+
+    const bar = document.createElement('div');
+    bar.className = 'viewer-spaces';
+    const buttons = names.map((name, index) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = index === 0 ? 'viewer-space viewer-space--active' : 'viewer-space';
+      button.textContent = name;
+      button.addEventListener('click', () => {
+        buttons.forEach((other) => other.classList.toggle('viewer-space--active', other === button));
+        onSelect(index);
+      });
+      return button;
+    });
+    bar.append(...buttons);
+    this.root.insertBefore(bar, this.layerPanel || this.canvasHost);
+    this.spaceBar = bar;
+  }
+
+  pick(event) {
+    if (!this.currentGroup) {
+      return null;
+    }
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1,
+    );
+    // Lines are hit within a few pixels; the raycaster measures that in the
+    // model's own units, before the unit scale on the top-level group
+    const distance = this.camera.position.distanceTo(this.controls.target);
+    const worldPerPixel = (2 * distance * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2))) / rect.height;
+    const threshold = (PICK_RADIUS_PX * worldPerPixel) / (this.currentGroup.scale.x || 1);
+    this.raycaster.params.Line.threshold = threshold;
+    this.raycaster.params.Points.threshold = threshold;
+    this.raycaster.setFromCamera(pointer, this.camera);
+
+    const hits = this.raycaster.intersectObject(this.currentGroup, true)
+      .filter((hit) => isShownInViewport(hit.object) && findInspectableEntity(hit.object));
+    // Prefer the line closest to the cursor; faces only when no line is near
+    const lines = hits
+      .filter((hit) => !hit.object.isMesh)
+      .sort((a, b) => this.raycaster.ray.distanceSqToPoint(a.point) - this.raycaster.ray.distanceSqToPoint(b.point));
+    const hit = lines[0] || hits[0];
+    return hit ? findInspectableEntity(hit.object) : null;
+  }
+
+  inspect(object) {
+    this.clearHighlight();
+    if (this.inspector) {
+      this.inspector.remove();
+      this.inspector = null;
+    }
+    if (!object) {
+      return;
+    }
+
+    object.traverse((child) => {
+      if (child.material && child.material.color) {
+        this.highlighted.push([child, child.material]);
+        child.material = child.material.clone();
+        child.material.color.setHex(HIGHLIGHT_COLOR);
+      }
+    });
+
+    const { entity } = object.userData;
+    const panel = document.createElement('div');
+    panel.className = 'viewer-inspector';
+    const header = document.createElement('div');
+    header.className = 'viewer-inspector-title';
+    header.textContent = entity.type;
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'viewer-inspector-close';
+    close.textContent = '×';
+    close.title = 'Close';
+    close.addEventListener('click', () => this.inspect(null));
+    header.appendChild(close);
+
+    const table = document.createElement('table');
+    const addRow = (label, value) => {
+      const row = document.createElement('tr');
+      const th = document.createElement('th');
+      th.textContent = label;
+      const td = document.createElement('td');
+      td.textContent = value;
+      row.append(th, td);
+      table.appendChild(row);
+    };
+    addRow('Handle', entity.handle || '—');
+    addRow('Layer', object.userData.layer || '0');
+    if (entity.line !== null && entity.line !== undefined) {
+      addRow('Source line', `${entity.line}`);
+    }
+    const block = findInspectableEntity(object.parent);
+    if (block && block.userData.entity.type === 'INSERT') {
+      const { params, handle } = block.userData.entity;
+      addRow('In block', handle ? `${params.block} (INSERT ${handle})` : params.block);
+    }
+    if (object.userData.content) {
+      addRow('Text', object.userData.content);
+    }
+    Object.entries(entity.params).forEach(([key, value]) => {
+      addRow(formatInspectorLabel(key), formatInspectorValue(key, value));
+    });
+    const { lengthMm, areaMm2 } = measureDxfEntity(object);
+    if (lengthMm > 0) {
+      addRow('Length', `${formatInspectorValue('length', lengthMm)} mm`);
+    }
+    if (areaMm2 > 0) {
+      addRow('Area', `${formatInspectorValue('area', areaMm2)} mm²`);
+    }
+
+    const note = document.createElement('div');
+    note.className = 'muted';
+    note.textContent = 'Parameters in drawing units, length in mm';
+    panel.append(header, table, note);
+    this.canvasHost.appendChild(panel);
+    this.inspector = panel;
+  }
+
+  clearHighlight() {
+    this.highlighted.forEach(([child, material]) => {
+      child.material.dispose();
+      child.material = material;
+    });
+    this.highlighted = [];
+  }
+
   frame(bounds) {
     const center = new THREE.Vector3();
     const size = new THREE.Vector3();
@@ -1488,6 +2854,7 @@ class ModelViewport {
 
   dispose() {
     this.disposed = true;
+    this.inspect(null);
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
     }
@@ -1517,6 +2884,8 @@ export {
   precisionEl,
   loading,
   loadStep,
+  loadIges,
+  loadBrep,
   loadStl,
   handleFiles,
   initViewer,
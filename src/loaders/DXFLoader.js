@@ -1,33 +1,275 @@
 import * as THREE from 'three';
+import { FONT_CAP_HEIGHT, FONT_DESCENT, measureRun, runAdvance, strokeRun } from './strokeFont.js';
 
 const DEFAULT_COLOR = 0x3f83f8;
 const DEFAULT_LINE_WIDTH = 1;
 const DEFAULT_ARC_SEGMENT_DEG = 10;
+// WIPEOUT masks whatever lies under it, so it is filled with the viewer background
+const WIPEOUT_COLOR = 0x0b1020;
+const BINARY_SENTINEL = 'AutoCAD Binary DXF\r\n\u001a\u0000';
+const BINARY_VALUE_SIZES = { double: 8, int16: 2, int32: 4, int64: 8, bool: 1 };
+const MTEXT_LINE_SPACING = 5 / 3;
+const DIMENSION_KINDS = {
+  0: 'linear', 1: 'aligned', 2: 'angular', 3: 'diameter', 4: 'radius', 5: 'angular', 6: 'ordinate',
+};
+const SPLINE_CHORD_TOLERANCE = 2e-4;
+const SPLINE_MIN_DEPTH = 2;
+const SPLINE_MAX_DEPTH = 10;
+const ACAD_RELEASES = {
+  AC1006: 'R10',
+  AC1009: 'R11/R12',
+  AC1012: 'R13',
+  AC1014: 'R14',
+  AC1015: 'AutoCAD 2000',
+  AC1018: 'AutoCAD 2004',
+  AC1021: 'AutoCAD 2007',
+  AC1024: 'AutoCAD 2010',
+  AC1027: 'AutoCAD 2013',
+  AC1032: 'AutoCAD 2018',
+};
+// Entities skipped on purpose: viewports only frame paper space and attribute
+// definitions are templates for the ATTRIBs placed with each INSERT
+const IGNORED_ENTITIES = new Set(['VIEWPORT', 'ATTDEF']);
+// Sections a DXF may legitimately contain; anything else is reported
+const KNOWN_SECTIONS = new Set(['HEADER', 'CLASSES', 'TABLES', 'BLOCKS', 'ENTITIES', 'OBJECTS', 'THUMBNAILIMAGE', 'ACDSDATA']);
 const ACI_COLOR_MAP = {
   1: 0xff0000, 2: 0xffff00, 3: 0x00ff00, 4: 0x00ffff,
   5: 0x0000ff, 6: 0xff00ff, 7: 0xffffff, 8: 0x808080, 9: 0xc0c0c0,
 };
 
 function parsePairs(text) {
-  const normalized = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-  const lines = normalized.split('\n');
+  const tokenizer = new DxfTokenizer();
+  tokenizer.pushText(text);
+  return tokenizer.finish().pairs;
+}
+
+// Turns DXF bytes into group code/value pairs as they arrive, so a large file
+// never has to exist as one string. Text chunks may split a line (or a CRLF)
+// anywhere; binary DXF is only decodable once complete and is buffered.
+export class DxfTokenizer {
+  constructor() {
+    this.pairs = [];
+    this.format = null;
+    this.head = [];
+    this.decoder = new TextDecoder('utf-8');
+    this.pending = '';
+    this.code = null;
+    this.codeLine = 0;
+    this.lineNumber = 0;
+    this.skipLineFeed = false;
+  }
+
+  push(bytes) {
+    if (this.format === null) {
+      this.head.push(bytes);
+      const length = this.head.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+      if (length < BINARY_SENTINEL.length) return;
+      this._decideFormat();
+      return;
+    }
+    if (this.format === 'binary') {
+      this.head.push(bytes);
+    } else {
+      this.pushText(this.decoder.decode(bytes, { stream: true }));
+    }
+  }
+
+  pushText(text) {
+    let chunk = text;
+    if (this.skipLineFeed && chunk[0] === '\n') {
+      chunk = chunk.slice(1);
+    }
+    this.skipLineFeed = chunk.endsWith('\r');
+    const lines = (this.pending + chunk).split(/\r\n|\r|\n/);
+    this.pending = lines.pop();
+    lines.forEach((line) => this._pushLine(line));
+  }
+
+  finish() {
+    if (this.format === null) {
+      this._decideFormat();
+    }
+    if (this.format === 'binary') {
+      this.pairs = parseBinaryPairs(concatChunks(this.head));
+      this.head = [];
+    } else {
+      this.pushText(this.decoder.decode());
+      this._pushLine(this.pending);
+      this.pending = '';
+    }
+    return { pairs: this.pairs, format: this.format };
+  }
+
+  _decideFormat() {
+    const bytes = concatChunks(this.head);
+    this.head = [];
+    if (isBinaryDxf(bytes)) {
+      this.format = 'binary';
+      this.head.push(bytes);
+    } else {
+      this.format = 'ascii';
+      this.pushText(this.decoder.decode(bytes, { stream: true }));
+    }
+  }
+
+  _pushLine(line) {
+    this.lineNumber += 1;
+    if (this.code === null) {
+      const trimmed = line.trim();
+      if (trimmed === '') return;
+      this.code = parseInt(trimmed, 10);
+      this.codeLine = this.lineNumber;
+      return;
+    }
+    // A code line that is not a number swallows its value line too.
+    // Pairs keep the line of their group code for diagnostics.
+    if (!Number.isNaN(this.code)) {
+      this.pairs.push({ code: this.code, value: line, line: this.codeLine });
+    }
+    this.code = null;
+  }
+}
+
+function concatChunks(chunks) {
+  if (chunks.length === 1) return chunks[0];
+  const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0));
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes;
+}
+
+function isBinaryDxf(bytes) {
+  if (bytes.length < BINARY_SENTINEL.length) return false;
+  for (let i = 0; i < BINARY_SENTINEL.length; i += 1) {
+    if (bytes[i] !== BINARY_SENTINEL.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+function binaryValueType(code) {
+  if (code >= 10 && code <= 59) return 'double';
+  if (code >= 110 && code <= 149) return 'double';
+  if (code >= 210 && code <= 239) return 'double';
+  if (code >= 460 && code <= 469) return 'double';
+  if (code >= 1010 && code <= 1059) return 'double';
+  if (code >= 60 && code <= 79) return 'int16';
+  if (code >= 170 && code <= 179) return 'int16';
+  if (code >= 270 && code <= 289) return 'int16';
+  if (code >= 370 && code <= 389) return 'int16';
+  if (code >= 400 && code <= 409) return 'int16';
+  if (code >= 1060 && code <= 1070) return 'int16';
+  if (code >= 90 && code <= 99) return 'int32';
+  if (code >= 420 && code <= 429) return 'int32';
+  if (code >= 440 && code <= 459) return 'int32';
+  if (code === 1071) return 'int32';
+  if (code >= 160 && code <= 169) return 'int64';
+  if (code >= 290 && code <= 299) return 'bool';
+  if (code >= 310 && code <= 319) return 'binary';
+  if (code === 1004) return 'binary';
+  return 'string';
+}
+
+// Header variables use the same group-code ranges as entity data; points
+// arrive as separate 10/20/30 pairs that are merged into one {x, y, z}.
+function readHeaderValue(previous, pair) {
+  const { code, value } = pair;
+  if (code >= 10 && code <= 39) {
+    const point = previous && typeof previous === 'object' ? previous : { x: 0, y: 0, z: 0 };
+    point['xyz'[Math.floor(code / 10) - 1]] = parseFloat(value);
+    return point;
+  }
+  const type = binaryValueType(code);
+  if (type === 'double') return parseFloat(value);
+  if (type === 'int16' || type === 'int32' || type === 'int64' || type === 'bool') return parseInt(value, 10);
+  return String(value).trim();
+}
+
+function parseBinaryPairs(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder('utf-8');
+  let offset = BINARY_SENTINEL.length;
+  // R13 and later write two-byte group codes; R12 writes one byte (with 255
+  // escaping a following two-byte code). The first group is always 0/SECTION,
+  // so a zero in the second byte means two-byte codes.
+  const wideCodes = bytes[offset + 1] === 0;
   const pairs = [];
-  for (let i = 0; i < lines.length;) {
-    const codeLine = lines[i];
-    if (codeLine === undefined) break;
-    const codeTrimmed = codeLine.trim();
-    i += 1;
-    if (codeTrimmed === '') continue;
-    const valueLine = lines[i];
-    if (valueLine === undefined) break;
-    i += 1;
-    const code = parseInt(codeTrimmed, 10);
-    if (Number.isNaN(code)) continue;
-    pairs.push({ code, value: valueLine });
+
+  const readString = () => {
+    let end = offset;
+    while (end < bytes.length && bytes[end] !== 0) end += 1;
+    const value = decoder.decode(bytes.subarray(offset, end));
+    offset = end + 1;
+    return value;
+  };
+
+  while (offset < bytes.length) {
+    // Binary files have no lines; pairs keep their byte offset instead
+    const start = offset;
+    let code;
+    if (wideCodes) {
+      if (offset + 2 > bytes.length) break;
+      code = view.getUint16(offset, true);
+      offset += 2;
+    } else {
+      code = bytes[offset];
+      offset += 1;
+      if (code === 255) {
+        if (offset + 2 > bytes.length) break;
+        code = view.getUint16(offset, true);
+        offset += 2;
+      }
+    }
+
+    const type = binaryValueType(code);
+    const size = BINARY_VALUE_SIZES[type];
+    if (size && offset + size > bytes.length) break;
+
+    let value;
+    if (type === 'double') {
+      value = String(view.getFloat64(offset, true));
+      offset += 8;
+    } else if (type === 'int16') {
+      value = String(view.getInt16(offset, true));
+      offset += 2;
+    } else if (type === 'int32') {
+      value = String(view.getInt32(offset, true));
+      offset += 4;
+    } else if (type === 'int64') {
+      value = String(view.getBigInt64(offset, true));
+      offset += 8;
+    } else if (type === 'bool') {
+      value = String(bytes[offset]);
+      offset += 1;
+    } else if (type === 'binary') {
+      const length = bytes[offset];
+      const chunk = bytes.subarray(offset + 1, offset + 1 + length);
+      value = Array.from(chunk, (byte) => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+      offset += 1 + length;
+    } else {
+      value = readString();
+    }
+
+    pairs.push({ code, value, offset: start });
+    if (code === 0 && value === 'EOF') break;
   }
   return pairs;
 }
 
+// First pair of an entity whose group code calls for a number but whose value
+// does not parse as one
+function findInvalidNumber(pairs, start, end) {
+  for (let i = start; i < end; i += 1) {
+    const { code, value } = pairs[i];
+    const type = binaryValueType(code);
+    if (type === 'double' && !Number.isFinite(parseFloat(value))) return pairs[i];
+    if ((type === 'int16' || type === 'int32' || type === 'int64') && Number.isNaN(parseInt(value, 10))) return pairs[i];
+  }
+  return null;
+}
+
 function getNumber(list, code, index = 0, fallback = 0) {
   const arr = list.get(code);
   if (!arr || index >= arr.length) return fallback;
@@ -59,6 +301,425 @@ function positionsFromVectors(points) {
   return array;
 }
 
+function readPointList(data, xCode, yCode, zCode) {
+  const xs = data.get(xCode) || [];
+  const ys = data.get(yCode) || [];
+  const zs = data.get(zCode) || [];
+  const points = [];
+  for (let i = 0; i < xs.length; i += 1) {
+    const x = parseFloat(xs[i]);
+    const y = parseFloat(ys[i] || '0');
+    const z = parseFloat(zs[i] || '0');
+    if (Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(z)) {
+      points.push(new THREE.Vector3(x, y, z));
+    }
+  }
+  return points;
+}
+
+function prepareNurbs(degree, knots, controlPoints, weights, periodic) {
+  let points = controlPoints;
+  let knotVector = knots.filter((value) => Number.isFinite(value));
+  const isValidKnots = (vector, count) => vector.length === count + degree + 1
+    && vector.every((value, i) => i === 0 || value >= vector[i - 1]);
+
+  if (!isValidKnots(knotVector, points.length)) {
+    if (periodic) {
+      // Periodic splines written without their wrapped control points: wrap
+      // them and use a uniform unclamped knot vector.
+      points = [...points, ...points.slice(0, degree)];
+      knotVector = Array.from({ length: points.length + degree + 1 }, (_, i) => i);
+    } else {
+      const inner = points.length - degree - 1;
+      knotVector = [];
+      for (let i = 0; i <= degree; i += 1) knotVector.push(0);
+      for (let i = 1; i <= inner; i += 1) knotVector.push(i / (inner + 1));
+      for (let i = 0; i <= degree; i += 1) knotVector.push(1);
+    }
+  }
+
+  const weightList = points.map((_, i) => {
+    const source = weights.length === controlPoints.length ? weights[i % controlPoints.length] : 1;
+    return Number.isFinite(source) && source > 0 ? source : 1;
+  });
+
+  const start = knotVector[degree];
+  const end = knotVector[points.length];
+  const breaks = [start];
+  for (let i = degree + 1; i < points.length; i += 1) {
+    const value = knotVector[i];
+    if (value > breaks[breaks.length - 1] && value < end) breaks.push(value);
+  }
+  breaks.push(end);
+
+  return { degree, knots: knotVector, points, weights: weightList, breaks };
+}
+
+function findKnotSpan(nurbs, u) {
+  const { degree, knots, points } = nurbs;
+  const n = points.length - 1;
+  if (u >= knots[n + 1]) return n;
+  if (u <= knots[degree]) return degree;
+  let low = degree;
+  let high = n + 1;
+  let mid = Math.floor((low + high) / 2);
+  while (u < knots[mid] || u >= knots[mid + 1]) {
+    if (u < knots[mid]) high = mid;
+    else low = mid;
+    mid = Math.floor((low + high) / 2);
+  }
+  return mid;
+}
+
+function evaluateNurbs(nurbs, u) {
+  // de Boor's algorithm in homogeneous coordinates so weights are honoured
+  const { degree, knots, points, weights } = nurbs;
+  const span = findKnotSpan(nurbs, u);
+  const d = [];
+  for (let j = 0; j <= degree; j += 1) {
+    const p = points[span - degree + j];
+    const w = weights[span - degree + j];
+    d.push([p.x * w, p.y * w, p.z * w, w]);
+  }
+  for (let r = 1; r <= degree; r += 1) {
+    for (let j = degree; j >= r; j -= 1) {
+      const i = span - degree + j;
+      const denom = knots[i + degree - r + 1] - knots[i];
+      const alpha = denom === 0 ? 0 : (u - knots[i]) / denom;
+      for (let k = 0; k < 4; k += 1) {
+        d[j][k] = (1 - alpha) * d[j - 1][k] + alpha * d[j][k];
+      }
+    }
+  }
+  const [x, y, z, w] = d[degree];
+  return new THREE.Vector3(x / w, y / w, z / w);
+}
+
+function basisFunctions(knots, span, u, degree) {
+  // The degree + 1 basis functions that are non-zero on the span at u
+  const values = [1];
+  const left = [0];
+  const right = [0];
+  for (let j = 1; j <= degree; j += 1) {
+    left.push(u - knots[span + 1 - j]);
+    right.push(knots[span + j] - u);
+    let saved = 0;
+    for (let r = 0; r < j; r += 1) {
+      const temp = values[r] / (right[r + 1] + left[j - r]);
+      values[r] = saved + right[r + 1] * temp;
+      saved = left[j - r] * temp;
+    }
+    values.push(saved);
+  }
+  return values;
+}
+
+// Derivative at t of the parabola through three points at parameters t0..t2
+function parabolaDerivative(p0, p1, p2, t0, t1, t2, t) {
+  return new THREE.Vector3()
+    .addScaledVector(p0, (2 * t - t1 - t2) / ((t0 - t1) * (t0 - t2)))
+    .addScaledVector(p1, (2 * t - t0 - t2) / ((t1 - t0) * (t1 - t2)))
+    .addScaledVector(p2, (2 * t - t0 - t1) / ((t2 - t0) * (t2 - t1)));
+}
+
+function interpolateFitPoints(fitPoints, startTangent, endTangent, closed) {
+  // Cubic B-spline through the fit points with chord length parameters and
+  // the given end tangents (codes 12/13). Missing tangents are taken from a
+  // parabola through the three end points, or across the seam when closed.
+  const points = fitPoints.filter((point, i) => i === 0 || !point.equals(fitPoints[i - 1]));
+  if (closed && points.length > 1 && !points[0].equals(points[points.length - 1])) {
+    points.push(points[0].clone());
+  }
+  const n = points.length - 1;
+  if (n < 1) return null;
+
+  const lengths = points.slice(1).map((point, i) => point.distanceTo(points[i]));
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+  const params = [0];
+  lengths.forEach((length) => params.push(params[params.length - 1] + length / total));
+  params[n] = 1;
+
+  let startDerivative;
+  let endDerivative;
+  if (n === 1) {
+    startDerivative = new THREE.Vector3().subVectors(points[1], points[0]);
+    endDerivative = startDerivative.clone();
+  } else if (closed) {
+    startDerivative = new THREE.Vector3().subVectors(points[1], points[n - 1])
+      .divideScalar(params[1] + 1 - params[n - 1]);
+    endDerivative = startDerivative.clone();
+  } else {
+    startDerivative = parabolaDerivative(points[0], points[1], points[2], params[0], params[1], params[2], 0);
+    endDerivative = parabolaDerivative(points[n - 2], points[n - 1], points[n], params[n - 2], params[n - 1], params[n], 1);
+  }
+  // Tangents are stored as directions; scale them to the parameter's speed
+  if (startTangent && startTangent.lengthSq() > 0) {
+    startDerivative = startTangent.clone().setLength(total);
+  }
+  if (endTangent && endTangent.lengthSq() > 0) {
+    endDerivative = endTangent.clone().setLength(total);
+  }
+
+  const knots = [0, 0, 0, 0, ...params.slice(1, n), 1, 1, 1, 1];
+  const control = new Array(n + 3);
+  control[0] = points[0].clone();
+  control[1] = points[0].clone().addScaledVector(startDerivative, params[1] / 3);
+  control[n + 1] = points[n].clone().addScaledVector(endDerivative, -(1 - params[n - 1]) / 3);
+  control[n + 2] = points[n].clone();
+
+  // Each inner fit point gives one row of a tridiagonal system in the
+  // control points P2..Pn, solved by forward elimination and back substitution
+  const diagonal = [];
+  const upper = [];
+  const rhs = [];
+  for (let k = 1; k < n; k += 1) {
+    const [a, b, c] = basisFunctions(knots, k + 3, params[k], 3);
+    const value = points[k].clone();
+    if (k === 1) value.addScaledVector(control[1], -a);
+    if (k === n - 1) value.addScaledVector(control[n + 1], -c);
+    if (k > 1) {
+      const factor = a / diagonal[k - 2];
+      diagonal.push(b - factor * upper[k - 2]);
+      value.addScaledVector(rhs[k - 2], -factor);
+    } else {
+      diagonal.push(b);
+    }
+    upper.push(c);
+    rhs.push(value);
+  }
+  for (let k = n - 1; k >= 1; k -= 1) {
+    const value = rhs[k - 1].clone();
+    if (k < n - 1) value.addScaledVector(control[k + 2], -upper[k - 1]);
+    control[k + 1] = value.divideScalar(diagonal[k - 1]);
+  }
+
+  return {
+    degree: 3,
+    knots,
+    points: control,
+    weights: control.map(() => 1),
+    breaks: params,
+  };
+}
+
+function decodeTextSpecials(text) {
+  // %%d, %%p and %%c are degree, plus/minus and diameter; %%u and %%o toggle
+  // under/overline, which the stroke font does not draw.
+  return text.replace(/%%(\d{3}|[dDpPcCuUoO%])/g, (match, code) => {
+    if (/^\d{3}$/.test(code)) return String.fromCharCode(parseInt(code, 10));
+    switch (code.toLowerCase()) {
+      case 'd': return '°';
+      case 'p': return '±';
+      case 'c': return '⌀';
+      case '%': return '%';
+      default: return '';
+    }
+  });
+}
+
+function parseMTextContent(raw, baseHeight) {
+  // Splits MTEXT into lines of runs that share a height and width factor.
+  // Height (\H) and width (\W) changes are honoured, stacked fractions (\S)
+  // become "a/b", and font, colour, tracking and similar codes are dropped.
+  const lines = [[]];
+  const stack = [];
+  let style = { height: baseHeight, widthFactor: 1 };
+  let buffer = '';
+  const flush = () => {
+    if (buffer) {
+      lines[lines.length - 1].push({ text: decodeTextSpecials(buffer), ...style });
+      buffer = '';
+    }
+  };
+  const readArgument = (from) => {
+    const end = raw.indexOf(';', from);
+    return end === -1 ? { value: raw.slice(from), end: raw.length } : { value: raw.slice(from, end), end };
+  };
+  const scaled = (value, current) => {
+    const relative = /x$/i.test(value);
+    const number = parseFloat(value);
+    if (!Number.isFinite(number) || number <= 0) return current;
+    return relative ? current * number : number;
+  };
+
+  for (let i = 0; i < raw.length; i += 1) {
+    const ch = raw[i];
+    if (ch === '{') {
+      flush();
+      stack.push({ ...style });
+      continue;
+    }
+    if (ch === '}') {
+      flush();
+      if (stack.length) style = stack.pop();
+      continue;
+    }
+    if (ch === '^' && raw[i + 1] === 'J') {
+      flush();
+      lines.push([]);
+      i += 1;
+      continue;
+    }
+    if (ch !== '\\' || i + 1 >= raw.length) {
+      buffer += ch;
+      continue;
+    }
+
+    const code = raw[i + 1];
+    i += 1;
+    if (code === 'P' || code === 'X') {
+      flush();
+      lines.push([]);
+    } else if (code === '~') {
+      buffer += ' ';
+    } else if (code === '\\' || code === '{' || code === '}') {
+      buffer += code;
+    } else if (code === 'U' && raw[i + 1] === '+') {
+      const hex = raw.slice(i + 2, i + 6);
+      const value = parseInt(hex, 16);
+      if (!Number.isNaN(value)) buffer += String.fromCharCode(value);
+      i += 5;
+    } else if (code === 'S') {
+      const { value, end } = readArgument(i + 1);
+      buffer += value.replace(/[\^#~]/, '/');
+      i = end;
+    } else if (code === 'H' || code === 'W') {
+      const { value, end } = readArgument(i + 1);
+      flush();
+      if (code === 'H') style = { ...style, height: scaled(value, style.height) };
+      else style = { ...style, widthFactor: scaled(value, style.widthFactor) };
+      i = end;
+    } else if ('fFcCQTApI'.includes(code)) {
+      i = readArgument(i + 1).end;
+    }
+    // \L, \l, \O, \o, \K and \k toggle decorations and carry no text
+  }
+  flush();
+  return lines;
+}
+
+function wrapMTextLines(lines, referenceWidth) {
+  if (!(referenceWidth > 0)) return lines;
+  const wrapped = [];
+  lines.forEach((runs) => {
+    let current = [];
+    let x = 0;
+    runs.forEach((run) => {
+      const words = run.text.split(/( +)/).filter((word) => word.length);
+      words.forEach((word) => {
+        const wordWidth = measureRun(word, run.height, run.widthFactor);
+        if (x > 0 && x + wordWidth > referenceWidth && word.trim()) {
+          wrapped.push(current);
+          current = [];
+          x = 0;
+        }
+        if (x === 0 && !word.trim()) return;
+        current.push({ ...run, text: word });
+        x += runAdvance(word, run.height, run.widthFactor);
+      });
+    });
+    wrapped.push(current);
+  });
+  return wrapped;
+}
+
+// Splits a convex polygon into a triangle fan, dropping repeated corners
+// (3-sided faces are often stored as quads with the last vertex doubled).
+function triangulateFan(face, triangles) {
+  const corners = face.filter((point, i) => i === 0 || !point.equals(face[i - 1]));
+  if (corners.length > 2 && corners[corners.length - 1].equals(corners[0])) corners.pop();
+  for (let i = 1; i < corners.length - 1; i += 1) {
+    triangles.push(corners[0], corners[i], corners[i + 1]);
+  }
+}
+
+function getExtrusion(data) {
+  return new THREE.Vector3(getNumber(data, 210, 0, 0), getNumber(data, 220, 0, 0), getNumber(data, 230, 0, 1));
+}
+
+function ocsToWcsMatrix(extrusion) {
+  // AutoCAD's arbitrary axis algorithm: derive the OCS X/Y axes from the
+  // extrusion direction. Returns null for the default +Z extrusion.
+  const normal = extrusion.clone().normalize();
+  if (normal.lengthSq() === 0) return null;
+  if (Math.abs(normal.x) < 1e-12 && Math.abs(normal.y) < 1e-12 && normal.z > 0) return null;
+  const xAxis = Math.abs(normal.x) < 1 / 64 && Math.abs(normal.y) < 1 / 64
+    ? new THREE.Vector3(0, 1, 0).cross(normal)
+    : new THREE.Vector3(0, 0, 1).cross(normal);
+  xAxis.normalize();
+  const yAxis = new THREE.Vector3().crossVectors(normal, xAxis).normalize();
+  return new THREE.Matrix4().makeBasis(xAxis, yAxis, normal);
+}
+
+function getPoint(data, xCode) {
+  const x = getNumber(data, xCode, 0, NaN);
+  const y = getNumber(data, xCode + 10, 0, NaN);
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+  return new THREE.Vector3(x, y, getNumber(data, xCode + 20, 0, 0));
+}
+
+function formatDimensionValue(value) {
+  return String(parseFloat(value.toFixed(4)));
+}
+
+function parseStatedValue(text) {
+  // Pulls the dimension value out of text such as "2X ⌀10.5" or "R3 TYP":
+  // counts ("2X") are skipped and a number after ⌀ or R wins.
+  const candidates = [];
+  const pattern = /(⌀|R)?\s*(-?\d+(?:\.(\d+))?)(\s*[xX×])?/g;
+  let match = pattern.exec(text);
+  while (match) {
+    if (!match[4]) {
+      candidates.push({ prefixed: Boolean(match[1]), value: parseFloat(match[2]), decimals: match[3] ? match[3].length : 0 });
+    }
+    match = pattern.exec(text);
+  }
+  return candidates.find((candidate) => candidate.prefixed) || candidates[0] || null;
+}
+
+function createMetadata() {
+  return {
+    kind: 'dxf',
+    format: 'ascii',
+    units: null,
+    version: null,
+    measurement: null,
+    linearUnits: null,
+    extents: null,
+    bounds: null,
+    layouts: [],
+    layerCount: 0,
+    layers: [],
+    ocsEntityCount: 0,
+    blockInstanceCount: 0,
+    attributes: [],
+    entityCounts: {},
+    diagnostics: [],
+  };
+}
+
+function isPaperSpaceBlock(name) {
+  return /^\*PAPER_SPACE/i.test(name);
+}
+
+function findEntityHandle(pairs, index) {
+  for (let i = index + 1; i < pairs.length && pairs[i].code !== 0; i += 1) {
+    if (pairs[i].code === 5) return pairs[i].value.trim();
+  }
+  return null;
+}
+
+function plainPoint(vector) {
+  return { x: vector.x, y: vector.y, z: vector.z };
+}
+
+function isPaperSpaceEntity(pairs, index) {
+  for (let i = index + 1; i < pairs.length && pairs[i].code !== 0; i += 1) {
+    if (pairs[i].code === 67) return parseInt(pairs[i].value, 10) === 1;
+  }
+  return false;
+}
+
 function createMaterialKey(color, type) {
   return `${type}:${color.toString(16)}`;
 }
@@ -70,30 +731,42 @@ export class DXFLoader {
       circleSegments: options.circleSegments || 64,
       arcSegmentAngle: options.arcSegmentAngle || DEFAULT_ARC_SEGMENT_DEG,
       defaultLineWidth: options.defaultLineWidth || DEFAULT_LINE_WIDTH,
+      onProgress: options.onProgress || null,
     };
     this._materialCache = new Map();
-    this.metadata = {
-      units: null,
-      bounds: null,
-      layerCount: 0,
-      entityCounts: {},
-    };
+    this.metadata = createMetadata();
+    this.layouts = [];
   }
 
-  parse(text) {
-    if (typeof text !== 'string') {
-      throw new Error('DXFLoader.parse requires a DXF file as a string.');
+  parse(input) {
+    let pairs;
+    let format = 'ascii';
+    if (typeof input === 'string') {
+      pairs = parsePairs(input);
+    } else if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+      const bytes = input instanceof ArrayBuffer
+        ? new Uint8Array(input)
+        : new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+      if (isBinaryDxf(bytes)) {
+        format = 'binary';
+        pairs = parseBinaryPairs(bytes);
+      } else {
+        pairs = parsePairs(new TextDecoder('utf-8').decode(bytes));
+      }
+    } else {
+      throw new Error('DXFLoader.parse requires a DXF file as a string or ArrayBuffer.');
     }
+    return this.parsePairs(pairs, format);
+  }
 
+  // Entry point for callers that tokenized the file themselves (the worker
+  // streams it through DxfTokenizer)
+  parsePairs(pairs, format = 'ascii') {
     // Reset metadata so each parse call reports fresh information
-    this.metadata = {
-      units: null,
-      bounds: null,
-      layerCount: 0,
-      entityCounts: {},
-    };
+    this.metadata = createMetadata();
+    this.layouts = [];
+    this.metadata.format = format;
 
-    const pairs = parsePairs(text);
     if (!pairs.length) {
       throw new Error('DXFLoader: the provided file does not contain any DXF data.');
     }
@@ -101,21 +774,33 @@ export class DXFLoader {
     const group = new THREE.Group();
     const state = {
       layers: new Map(),
+      linetypes: new Map(),
       blocks: new Map(),
+      blockCache: new Map(),
+      builtBlocks: new Set(),
+      blockStack: [],
       header: {},
+      paperSpace: new THREE.Group(),
+      layoutNames: new Map(),
+      diagnosed: new Set(),
     };
 
     this._parseSections(pairs, group, state);
+    this.layouts = this._buildLayouts(pairs, state);
 
-    if (!group.children.length) {
-      throw new Error('DXF file contained no supported entities.');
+    if (!group.children.length && !this.layouts.length) {
+      const error = new Error('DXF file contained no supported entities.');
+      error.diagnostics = this.metadata.diagnostics;
+      throw error;
     }
 
-    // Compute metadata
-    const bounds = new THREE.Box3().setFromObject(group);
-    this.metadata.bounds = bounds;
+    // Compute metadata (bounds cover model space only)
+    this.metadata.bounds = group.children.length ? new THREE.Box3().setFromObject(group) : null;
+    this.metadata.layouts = this.layouts.map(({ name, group: layout }) => ({ name, objectCount: layout.children.length }));
     this.metadata.layerCount = state.layers.size;
+    this.metadata.layers = this._summarizeLayers([group, ...this.layouts.map((layout) => layout.group)], state);
     this.metadata.units = state.header.$INSUNITS || 'unknown';
+    this._applyHeaderMetadata(state.header);
 
     return group;
   }
@@ -135,13 +820,44 @@ export class DXFLoader {
           i = this._parseBlocks(pairs, i + 2, state);
         } else if (sectionName === 'ENTITIES') {
           i = this._parseEntities(pairs, i + 2, group, state);
+        } else if (sectionName === 'OBJECTS') {
+          i = this._parseObjects(pairs, i + 2, state);
         } else {
+          if (!KNOWN_SECTIONS.has(sectionName)) {
+            this._diagnose(pairs, i, state, 'section', `Unknown section ${sectionName || '(unnamed)'} skipped`);
+          }
           i = this._skipSection(pairs, i + 2);
         }
+        // Every section parser stops after its ENDSEC, or at the end of the data
+        const last = pairs[i - 1];
+        if (i >= pairs.length && !(last.code === 0 && last.value.trim().toUpperCase() === 'ENDSEC')) {
+          this._diagnose(pairs, i - 1, state, 'truncated',
+            `Section ${sectionName || '(unnamed)'} ends without ENDSEC; the file is truncated`, 'error');
+        }
       } else {
         i += 1;
       }
     }
+    const last = pairs[pairs.length - 1];
+    if (!(last.code === 0 && last.value.trim().toUpperCase() === 'EOF')) {
+      this._diagnose(pairs, pairs.length - 1, state, 'truncated', 'File ends without an EOF marker', 'error');
+    }
+  }
+
+  // Records a problem against the pair that caused it. Block contents are
+  // parsed once per distinct insert context, so each pair reports once.
+  _diagnose(pairs, index, state, kind, message, severity = 'warning') {
+    const key = `${kind}:${index}`;
+    if (state.diagnosed.has(key)) return;
+    state.diagnosed.add(key);
+    const pair = pairs[index] || {};
+    this.metadata.diagnostics.push({
+      severity,
+      kind,
+      message,
+      line: pair.line ?? null,
+      offset: pair.offset ?? null,
+    });
   }
 
   _parseHeader(pairs, index, state) {
@@ -154,18 +870,38 @@ export class DXFLoader {
       }
       if (pair.code === 9) {
         currentVar = pair.value.trim();
-      } else if (currentVar && pair.code === 70) {
-        // Common integer header variable
-        state.header[currentVar] = parseInt(pair.value, 10);
-      } else if (currentVar && pair.code === 40) {
-        // Common float header variable
-        state.header[currentVar] = parseFloat(pair.value);
+      } else if (currentVar) {
+        state.header[currentVar] = readHeaderValue(state.header[currentVar], pair);
       }
       i += 1;
     }
     return i;
   }
 
+  _applyHeaderMetadata(header) {
+    if (typeof header.$ACADVER === 'string') {
+      this.metadata.version = {
+        code: header.$ACADVER,
+        release: ACAD_RELEASES[header.$ACADVER.toUpperCase()] || null,
+      };
+    }
+    if (Number.isInteger(header.$MEASUREMENT)) {
+      this.metadata.measurement = header.$MEASUREMENT === 0 ? 'imperial' : 'metric';
+    }
+    if (Number.isInteger(header.$LUNITS)) {
+      this.metadata.linearUnits = header.$LUNITS;
+    }
+    const min = header.$EXTMIN;
+    const max = header.$EXTMAX;
+    // An empty drawing stores inverted extents (1e20 / -1e20)
+    if (min && max && typeof min === 'object' && typeof max === 'object' && min.x <= max.x && min.y <= max.y) {
+      this.metadata.extents = new THREE.Box3(
+        new THREE.Vector3(min.x, min.y, min.z),
+        new THREE.Vector3(max.x, max.y, max.z)
+      );
+    }
+  }
+
   _skipSection(pairs, index) {
     let i = index;
     while (i < pairs.length) {
@@ -194,6 +930,10 @@ export class DXFLoader {
             i = this._parseLayerTable(pairs, i + 2, state);
             continue;
           }
+          if (tableName === 'LTYPE') {
+            i = this._parseLinetypeTable(pairs, i + 2, state);
+            continue;
+          }
         }
       }
       i += 1;
@@ -213,21 +953,59 @@ export class DXFLoader {
         if (value === 'LAYER') {
           const { data, next } = this._collectEntityData(pairs, i + 1);
           const name = getString(data, 2, 0, null);
+          const flags = getInteger(data, 70, 0, 0);
+          // A negative colour number is how DXF stores a layer that is off
+          const aci = getInteger(data, 62, 0, null);
           let color = null;
           const trueColor = getInteger(data, 420, 0, null);
           if (trueColor != null) {
             color = trueColor;
-          } else {
-            const aci = getInteger(data, 62, 0, null);
-            if (aci != null) {
-              const mapped = this._aciToHex(aci);
-              if (mapped != null) {
-                color = mapped;
-              }
+          } else if (aci != null) {
+            const mapped = this._aciToHex(Math.abs(aci));
+            if (mapped != null) {
+              color = mapped;
             }
           }
           if (name) {
-            state.layers.set(name, color != null ? color : this.options.defaultColor);
+            state.layers.set(name, {
+              name,
+              color: color != null ? color : this.options.defaultColor,
+              on: aci == null || aci >= 0,
+              frozen: (flags & 1) === 1,
+              locked: (flags & 4) === 4,
+              linetype: getString(data, 6, 0, 'CONTINUOUS'),
+            });
+          }
+          i = next;
+          continue;
+        }
+      }
+      i += 1;
+    }
+    return i;
+  }
+
+  _parseLinetypeTable(pairs, index, state) {
+    let i = index;
+    while (i < pairs.length) {
+      const pair = pairs[i];
+      if (pair.code === 0) {
+        const value = pair.value.trim().toUpperCase();
+        if (value === 'ENDTAB') {
+          return i + 1;
+        }
+        if (value === 'LTYPE') {
+          const { data, next } = this._collectEntityData(pairs, i + 1);
+          const name = getString(data, 2, 0, null);
+          if (name) {
+            // Code 49 repeats once per element: positive is a dash, negative
+            // a gap and zero a dot
+            const pattern = (data.get(49) || []).map((value) => parseFloat(value)).filter(Number.isFinite);
+            state.linetypes.set(name.toUpperCase(), {
+              name,
+              pattern,
+              length: getNumber(data, 40, 0, pattern.reduce((sum, element) => sum + Math.abs(element), 0)),
+            });
           }
           i = next;
           continue;
@@ -250,13 +1028,24 @@ export class DXFLoader {
         if (value === 'BLOCK') {
           const { data, next } = this._collectEntityData(pairs, i + 1);
           const blockName = getString(data, 2, 0, null);
+          // Layout blocks are parsed once as top-level spaces, which counts
+          // their entities then
+          const { end, definitions } = this._scanBlockEntities(pairs, next, !isPaperSpaceBlock(blockName || ''));
           if (blockName) {
-            const blockGroup = new THREE.Group();
-            blockGroup.name = blockName;
-            i = this._parseBlockEntities(pairs, next, blockGroup, state);
-            state.blocks.set(blockName, blockGroup);
-            continue;
+            // Blocks may reference blocks defined further down and inherit
+            // colour/layer from whichever INSERT uses them, so only the pair
+            // range is kept here and the entities are built per insert.
+            state.blocks.set(blockName, {
+              name: blockName,
+              basePoint: getPoint(data, 10) || new THREE.Vector3(),
+              start: next,
+              end,
+              definitions,
+              recordHandle: (getString(data, 330, 0, '') || '').toUpperCase(),
+            });
           }
+          i = end;
+          continue;
         }
       }
       i += 1;
@@ -264,21 +1053,91 @@ export class DXFLoader {
     return i;
   }
 
-  _parseBlockEntities(pairs, index, group, state) {
+  _scanBlockEntities(pairs, index, countEntities = true) {
+    const definitions = [];
     let i = index;
     while (i < pairs.length) {
       const pair = pairs[i];
       if (pair.code === 0) {
         const type = pair.value.trim().toUpperCase();
         if (type === 'ENDBLK') {
-          return i + 1;
+          return { end: i, definitions };
         }
+        if (countEntities && type !== 'VERTEX' && type !== 'SEQEND') {
+          this.metadata.entityCounts[type] = (this.metadata.entityCounts[type] || 0) + 1;
+        }
+        if (type === 'ATTDEF') {
+          const { data } = this._collectEntityData(pairs, i + 1);
+          const tag = getString(data, 2, 0, null);
+          if (tag) {
+            definitions.push({
+              tag: tag.trim().toUpperCase(),
+              value: decodeTextSpecials(getString(data, 1, 0, '')),
+              prompt: getString(data, 3, 0, null),
+            });
+          }
+        }
+      }
+      i += 1;
+    }
+    return { end: i, definitions };
+  }
+
+  _readInsertAttributes(pairs, index, state) {
+    const attributes = [];
+    let i = index;
+    while (i < pairs.length) {
+      const type = pairs[i].value.trim().toUpperCase();
+      if (type === 'SEQEND') {
+        const { next } = this._collectEntityData(pairs, i + 1);
+        return { attributes, next };
+      }
+      if (type !== 'ATTRIB') break;
+      if (!state.blockStack.length) {
+        this.metadata.entityCounts.ATTRIB = (this.metadata.entityCounts.ATTRIB || 0) + 1;
+      }
+      const { data, next } = this._collectEntityData(pairs, i + 1);
+      const tag = getString(data, 2, 0, null);
+      if (tag) {
+        attributes.push({
+          tag: tag.trim().toUpperCase(),
+          value: decodeTextSpecials(getString(data, 1, 0, '')),
+        });
+      }
+      i = next;
+    }
+    // Malformed file without SEQEND: stop at the first non-ATTRIB entity
+    return { attributes, next: i };
+  }
+
+  _parseBlockEntities(pairs, block, group, state) {
+    let i = block.start;
+    while (i < block.end) {
+      if (pairs[i].code === 0) {
         i = this._parseEntity(pairs, i, group, state);
       } else {
         i += 1;
       }
     }
-    return i;
+  }
+
+  _buildBlock(pairs, block, context, state) {
+    const key = `${block.name}|${context.layer}|${context.color}|${context.linetype}`;
+    if (state.blockCache.has(key)) {
+      return state.blockCache.get(key);
+    }
+    const group = new THREE.Group();
+    group.name = block.name;
+    // A block built again for another layer or colour repeats its entities;
+    // only the first build counts them
+    const entry = { name: block.name, ...context, instances: 0, firstBuild: !state.builtBlocks.has(block.name) };
+    state.builtBlocks.add(block.name);
+    state.blockStack.push(entry);
+    this._parseBlockEntities(pairs, block, group, state);
+    state.blockStack.pop();
+    group.userData.instanceCount = entry.instances;
+    state.blockCache.set(key, group);
+    return group;
   }
 
   _parseEntities(pairs, index, group, state) {
@@ -293,82 +1152,162 @@ export class DXFLoader {
       if (type === 'ENDSEC') {
         return i + 1;
       }
-      i = this._parseEntity(pairs, i, group, state);
+      // Code 67 = 1 puts the entity on the active paper-space layout
+      const target = isPaperSpaceEntity(pairs, i) ? state.paperSpace : group;
+      i = this._parseEntity(pairs, i, target, state);
+      if (this.options.onProgress) {
+        this.options.onProgress(i / pairs.length);
+      }
+    }
+    return i;
+  }
+
+  _parseObjects(pairs, index, state) {
+    let i = index;
+    while (i < pairs.length) {
+      const pair = pairs[i];
+      if (pair.code === 0) {
+        const value = pair.value.trim().toUpperCase();
+        if (value === 'ENDSEC') {
+          return i + 1;
+        }
+        if (value === 'LAYOUT') {
+          const { data, next } = this._collectEntityData(pairs, i + 1);
+          const name = getString(data, 1, 0, null);
+          // The last 330 is the layout's block record; earlier ones are owners
+          const records = data.get(330) || [];
+          if (name && records.length) {
+            state.layoutNames.set(String(records[records.length - 1]).trim().toUpperCase(), name);
+          }
+          i = next;
+          continue;
+        }
+      }
+      i += 1;
     }
     return i;
   }
 
+  _buildLayouts(pairs, state) {
+    const layouts = [];
+    let activeMerged = false;
+    state.blocks.forEach((block) => {
+      if (!isPaperSpaceBlock(block.name)) return;
+      const group = new THREE.Group();
+      // Entities of the active layout live in ENTITIES with code 67 set;
+      // the other layouts keep theirs in *Paper_SpaceN blocks
+      if (block.name.toUpperCase() === '*PAPER_SPACE') {
+        group.add(...state.paperSpace.children);
+        activeMerged = true;
+      }
+      this._parseBlockEntities(pairs, block, group, state);
+      if (!group.children.length) return;
+      group.name = state.layoutNames.get(block.recordHandle) || block.name.replace(/^\*/, '');
+      layouts.push({ name: group.name, group });
+    });
+    if (!activeMerged && state.paperSpace.children.length) {
+      state.paperSpace.name = 'Paper_Space';
+      layouts.unshift({ name: state.paperSpace.name, group: state.paperSpace });
+    }
+    return layouts;
+  }
+
   _parseEntity(pairs, index, group, state) {
     const pair = pairs[index];
     const type = pair.value.trim().toUpperCase();
     
-    // Track entity counts
-    this.metadata.entityCounts[type] = (this.metadata.entityCounts[type] || 0) + 1;
+    // Track entity counts (block contents are counted once, when scanned)
+    if (!state.blockStack.length) {
+      this.metadata.entityCounts[type] = (this.metadata.entityCounts[type] || 0) + 1;
+    }
 
-    if (type === 'LINE') {
-      const { object, next } = this._parseLine(pairs, index + 1, state);
-      if (object) group.add(object);
+    const result = this._parseEntityType(type, pairs, index + 1, state);
+    if (!result) {
+      const { next } = this._collectEntityData(pairs, index + 1);
+      this._diagnose(pairs, index, state, 'unsupported', `Unsupported entity ${type} skipped`,
+        IGNORED_ENTITIES.has(type) ? 'info' : 'warning');
       return next;
     }
+
+    // Entities fall back to defaults for unreadable numbers; say so, since a
+    // zero radius or a point at the origin is usually the visible symptom
+    const invalid = findInvalidNumber(pairs, index + 1, result.next);
+    if (result.object) {
+      // Enough of the source entity to check it against the drawing
+      result.object.userData.entity = {
+        type,
+        handle: findEntityHandle(pairs, index),
+        line: pairs[index].line ?? null,
+        params: result.params || {},
+      };
+      group.add(result.object);
+      if (invalid) {
+        this._diagnose(pairs, index, state, 'number',
+          `${type}: invalid number "${invalid.value.trim()}" in group code ${invalid.code}, default used`);
+      }
+    } else {
+      const reason = invalid
+        ? `invalid number "${invalid.value.trim()}" in group code ${invalid.code}`
+        : result.reason || 'no drawable geometry';
+      this._diagnose(pairs, index, state, 'dropped', `${type} dropped: ${reason}`);
+    }
+    return result.next;
+  }
+
+  // Returns null for entity types the loader does not draw
+  _parseEntityType(type, pairs, index, state) {
+    if (type === 'LINE') {
+      return this._parseLine(pairs, index, state);
+    }
     if (type === 'LWPOLYLINE') {
-      const { object, next } = this._parseLwPolyline(pairs, index + 1, state);
-      if (object) group.add(object);
-      return next;
+      return this._parseLwPolyline(pairs, index, state);
     }
     if (type === 'POLYLINE') {
-      const { object, next } = this._parsePolyline(pairs, index + 1, state);
-      if (object) group.add(object);
-      return next;
+      return this._parsePolyline(pairs, index, state);
     }
     if (type === 'CIRCLE') {
-      const { object, next } = this._parseCircle(pairs, index + 1, state);
-      if (object) group.add(object);
-      return next;
+      return this._parseCircle(pairs, index, state);
     }
     if (type === 'ARC') {
-      const { object, next } = this._parseArc(pairs, index + 1, state);
-      if (object) group.add(object);
-      return next;
+      return this._parseArc(pairs, index, state);
     }
     if (type === 'ELLIPSE') {
-      const { object, next } = this._parseEllipse(pairs, index + 1, state);
-      if (object) group.add(object);
-      return next;
+      return this._parseEllipse(pairs, index, state);
     }
     if (type === 'SPLINE') {
-      const { object, next } = this._parseSpline(pairs, index + 1, state);
-      if (object) group.add(object);
-      return next;
+      return this._parseSpline(pairs, index, state);
     }
     if (type === 'POINT') {
-      const { object, next } = this._parsePoint(pairs, index + 1, state);
-      if (object) group.add(object);
-      return next;
+      return this._parsePoint(pairs, index, state);
     }
     if (type === '3DFACE') {
-      const { object, next } = this._parse3dFace(pairs, index + 1, state);
-      if (object) group.add(object);
-      return next;
+      return this._parse3dFace(pairs, index, state);
+    }
+    if (type === 'SOLID' || type === 'TRACE') {
+      return this._parseSolid(pairs, index, state, type);
+    }
+    if (type === 'WIPEOUT') {
+      return this._parseWipeout(pairs, index, state);
+    }
+    if (type === 'MESH') {
+      return this._parseMesh(pairs, index, state);
     }
     if (type === 'INSERT') {
-      const { object, next } = this._parseInsert(pairs, index + 1, state);
-      if (object) group.add(object);
-      return next;
+      return this._parseInsert(pairs, index, state);
     }
-    if (type === 'TEXT' || type === 'MTEXT') {
-      const { object, next } = this._parseText(pairs, index + 1, state);
-      if (object) group.add(object);
-      return next;
+    if (type === 'TEXT') {
+      return this._parseText(pairs, index, state);
+    }
+    if (type === 'MTEXT') {
+      return this._parseMText(pairs, index, state);
+    }
+    if (type === 'HATCH') {
+      return this._parseHatch(pairs, index, state);
     }
     if (type === 'DIMENSION') {
-      const { object, next } = this._parseDimension(pairs, index + 1, state);
-      if (object) group.add(object);
-      return next;
+      return this._parseDimension(pairs, index, state);
     }
-    
-    // Skip unsupported entity
-    const { next } = this._collectEntityData(pairs, index + 1);
-    return next;
+    return null;
   }
 
   _parseLine(pairs, index, state) {
@@ -384,12 +1323,12 @@ export class DXFLoader {
       getNumber(data, 31, 0, 0)
     );
     if (start.equals(end)) {
-      return { object: null, next };
+      return { object: null, next, reason: 'zero length' };
     }
     const color = this._resolveColor(data, state);
-    const line = this._createLine([start, end], false, color);
+    const line = this._createLine([start, end], false, color, this._linetypeStyle(data, state));
     this._applyLayerToObject(line, data, state);
-    return { object: line, next };
+    return { object: line, next, params: { start: plainPoint(start), end: plainPoint(end) } };
   }
 
   _parseLwPolyline(pairs, index, state) {
@@ -425,15 +1364,20 @@ export class DXFLoader {
     const flag = getInteger(data, 70, 0, 0);
     const closed = (flag & 1) === 1;
     const color = this._resolveColor(data, state);
-    const line = this._createLine(vertices, closed, color);
+    const line = this._createLine(this._toWcs(vertices, data, state), closed, color, this._linetypeStyle(data, state));
     this._applyLayerToObject(line, data, state);
-    return { object: line, next };
+    const params = { vertices: xs.length, closed, elevation };
+    if (bulges.some((bulge) => parseFloat(bulge))) {
+      params.bulges = bulges.map((bulge) => parseFloat(bulge) || 0);
+    }
+    return { object: line, next, params };
   }
 
   _parsePolyline(pairs, index, state) {
     const base = this._collectEntityData(pairs, index);
     let i = base.next;
     const vertices = [];
+    const records = [];
     let closed = false;
     const flag = getInteger(base.data, 70, 0, 0);
     if ((flag & 1) === 1) closed = true;
@@ -451,9 +1395,14 @@ export class DXFLoader {
         const x = getNumber(data, 10, 0, NaN);
         const y = getNumber(data, 20, 0, NaN);
         const z = getNumber(data, 30, 0, elevation);
-        if (Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(z)) {
-          vertices.push(new THREE.Vector3(x, y, z));
+        const vertexFlag = getInteger(data, 70, 0, 0);
+        const point = Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(z)
+          ? new THREE.Vector3(x, y, z)
+          : null;
+        if (point) {
+          vertices.push(point);
         }
+        records.push({ point, flag: vertexFlag, data });
         i = next;
         continue;
       }
@@ -467,10 +1416,37 @@ export class DXFLoader {
     if (!vertices.length) {
       return { object: null, next: i };
     }
+    if ((flag & 64) === 64) {
+      return { object: this._createPolyfaceMesh(records, base.data, state), next: i };
+    }
+    if ((flag & 16) === 16) {
+      return { object: this._createPolygonMesh(records, flag, base.data, state), next: i };
+    }
+    // A vertex bulge (code 42) curves the segment to the following vertex;
+    // only 2D polylines have them, and only 2D polylines live in the OCS
+    let drawn = vertices;
+    if ((flag & (8 | 16 | 64)) === 0) {
+      const placed = records.filter((record) => record.point);
+      drawn = [];
+      placed.forEach((record, index) => {
+        drawn.push(record.point);
+        const following = placed[index + 1] || (closed ? placed[0] : null);
+        const bulge = getNumber(record.data, 42, 0, 0);
+        if (following && Math.abs(bulge) > 1e-6) {
+          drawn.push(...this._bulgeToArc(record.point, following.point, bulge).slice(0, -1));
+        }
+      });
+      this._toWcs(drawn, base.data, state);
+    }
     const color = this._resolveColor(base.data, state);
-    const line = this._createLine(vertices, closed, color);
+    const line = this._createLine(drawn, closed, color, this._linetypeStyle(base.data, state));
     this._applyLayerToObject(line, base.data, state);
-    return { object: line, next: i };
+    const params = { vertices: vertices.length, closed, flags: flag };
+    const bulges = records.map((record) => getNumber(record.data, 42, 0, 0));
+    if (bulges.some((bulge) => bulge !== 0)) {
+      params.bulges = bulges;
+    }
+    return { object: line, next: i, params };
   }
 
   _parseCircle(pairs, index, state) {
@@ -482,7 +1458,7 @@ export class DXFLoader {
     );
     const radius = getNumber(data, 40, 0, 0);
     if (radius <= 0) {
-      return { object: null, next };
+      return { object: null, next, reason: 'zero radius' };
     }
     const segments = Math.max(16, this.options.circleSegments);
     const points = [];
@@ -493,9 +1469,9 @@ export class DXFLoader {
       points.push(new THREE.Vector3(x, y, center.z));
     }
     const color = this._resolveColor(data, state);
-    const line = this._createLine(points, true, color);
+    const line = this._createLine(this._toWcs(points, data, state), true, color, this._linetypeStyle(data, state));
     this._applyLayerToObject(line, data, state);
-    return { object: line, next };
+    return { object: line, next, params: { center: plainPoint(center), radius } };
   }
 
   _parseArc(pairs, index, state) {
@@ -509,7 +1485,7 @@ export class DXFLoader {
     const startAngleDeg = getNumber(data, 50, 0, 0);
     const endAngleDeg = getNumber(data, 51, 0, 0);
     if (radius <= 0) {
-      return { object: null, next };
+      return { object: null, next, reason: 'zero radius' };
     }
     const startRad = THREE.MathUtils.degToRad(startAngleDeg);
     const endRad = THREE.MathUtils.degToRad(endAngleDeg);
@@ -525,9 +1501,19 @@ export class DXFLoader {
       points.push(new THREE.Vector3(x, y, center.z));
     }
     const color = this._resolveColor(data, state);
-    const line = this._createLine(points, false, color);
+    const line = this._createLine(this._toWcs(points, data, state), false, color, this._linetypeStyle(data, state));
     this._applyLayerToObject(line, data, state);
-    return { object: line, next };
+    return {
+      object: line,
+      next,
+      params: {
+        center: plainPoint(center),
+        radius,
+        startAngle: startAngleDeg,
+        endAngle: endAngleDeg,
+        sweep: THREE.MathUtils.radToDeg(sweep),
+      },
+    };
   }
 
   _parseEllipse(pairs, index, state) {
@@ -549,10 +1535,14 @@ export class DXFLoader {
     const majorRadius = majorAxis.length();
     const minorRadius = majorRadius * ratio;
     if (majorRadius <= 0 || minorRadius <= 0) {
-      return { object: null, next };
+      return { object: null, next, reason: 'zero-length axis' };
     }
 
-    const angle = Math.atan2(majorAxis.y, majorAxis.x);
+    // Center and major axis are already WCS; the extrusion only decides which
+    // side of the major axis the minor axis lies on.
+    const normal = getExtrusion(data).normalize();
+    if (normal.lengthSq() === 0) normal.set(0, 0, 1);
+    const minorAxis = new THREE.Vector3().crossVectors(normal, majorAxis).normalize().multiplyScalar(minorRadius);
     const segments = Math.max(32, this.options.circleSegments);
     const points = [];
     let sweep = endParam - startParam;
@@ -561,47 +1551,108 @@ export class DXFLoader {
 
     for (let i = 0; i <= steps; i += 1) {
       const t = startParam + (sweep * i) / steps;
-      const x = majorRadius * Math.cos(t);
-      const y = minorRadius * Math.sin(t);
-      const rotX = x * Math.cos(angle) - y * Math.sin(angle);
-      const rotY = x * Math.sin(angle) + y * Math.cos(angle);
-      points.push(new THREE.Vector3(center.x + rotX, center.y + rotY, center.z));
+      points.push(center.clone()
+        .addScaledVector(majorAxis, Math.cos(t))
+        .addScaledVector(minorAxis, Math.sin(t)));
     }
 
     const closed = Math.abs(sweep - Math.PI * 2) < 0.01;
     const color = this._resolveColor(data, state);
-    const line = this._createLine(points, closed, color);
+    const line = this._createLine(points, closed, color, this._linetypeStyle(data, state));
     this._applyLayerToObject(line, data, state);
-    return { object: line, next };
+    return {
+      object: line,
+      next,
+      params: {
+        center: plainPoint(center),
+        majorAxis: plainPoint(majorAxis),
+        ratio,
+        startParameter: startParam,
+        endParameter: endParam,
+      },
+    };
   }
 
   _parseSpline(pairs, index, state) {
     const { data, next } = this._collectEntityData(pairs, index);
-    const xs = data.get(10) || [];
-    const ys = data.get(20) || [];
-    const zs = data.get(30) || [];
-    const controlPoints = [];
-    
-    for (let i = 0; i < xs.length; i += 1) {
-      const x = parseFloat(xs[i]);
-      const y = parseFloat(ys[i] || '0');
-      const z = parseFloat(zs[i] || '0');
-      if (Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(z)) {
-        controlPoints.push(new THREE.Vector3(x, y, z));
-      }
-    }
+    const flag = getInteger(data, 70, 0, 0);
+    const degree = Math.max(1, getInteger(data, 71, 0, 3));
+    const controlPoints = readPointList(data, 10, 20, 30);
+    const fitPoints = readPointList(data, 11, 21, 31);
+    const knots = (data.get(40) || []).map((value) => parseFloat(value));
+    const weights = (data.get(41) || []).map((value) => parseFloat(value));
+    const periodic = (flag & 2) === 2;
+    let closed = (flag & 1) === 1 || periodic;
 
-    if (controlPoints.length < 2) {
+    let points;
+    if (controlPoints.length > degree) {
+      const nurbs = prepareNurbs(degree, knots, controlPoints, weights, periodic);
+      points = this._tessellateCurve((u) => evaluateNurbs(nurbs, u), nurbs.breaks, controlPoints);
+    } else if (fitPoints.length >= 2) {
+      // Fit-point-only splines carry no knot data; rebuild the curve from the
+      // fit points and end tangents
+      const nurbs = interpolateFitPoints(fitPoints, getPoint(data, 12), getPoint(data, 13), closed);
+      points = nurbs
+        ? this._tessellateCurve((u) => evaluateNurbs(nurbs, u), nurbs.breaks, nurbs.points)
+        : fitPoints;
+    } else {
+      // Too few control points for the degree; keep the control polygon
+      points = controlPoints;
+    }
+    if (points.length < 2) {
       return { object: null, next };
     }
 
-    // Simple linear approximation for splines
-    const flag = getInteger(data, 70, 0, 0);
-    const closed = (flag & 1) === 1;
+    // Closed and periodic splines end where they start; drop the repeated
+    // point so the loop is closed exactly once.
+    const size = new THREE.Box3().setFromPoints(points).getSize(new THREE.Vector3()).length();
+    const endGap = points[0].distanceTo(points[points.length - 1]);
+    if (points.length > 2 && endGap <= Math.max(size * 1e-6, 1e-9)) {
+      closed = true;
+      points = points.slice(0, -1);
+    }
+
     const color = this._resolveColor(data, state);
-    const line = this._createLine(controlPoints, closed, color);
+    const line = this._createLine(points, closed, color, this._linetypeStyle(data, state));
     this._applyLayerToObject(line, data, state);
-    return { object: line, next };
+    return {
+      object: line,
+      next,
+      params: { degree, controlPoints: controlPoints.length, fitPoints: fitPoints.length, knots: knots.length, closed },
+    };
+  }
+
+  _tessellateCurve(evaluate, breaks, hull) {
+    // Refine each knot span until the chord sits within a small fraction of
+    // the curve's size and turns no more than the arc segment angle.
+    const size = new THREE.Box3().setFromPoints(hull).getSize(new THREE.Vector3()).length();
+    const tolerance = Math.max(size * SPLINE_CHORD_TOLERANCE, 1e-9);
+    const maxTurn = THREE.MathUtils.degToRad(this.options.arcSegmentAngle);
+    const points = [evaluate(breaks[0])];
+
+    const refine = (t0, p0, t1, p1, depth) => {
+      const tm = (t0 + t1) / 2;
+      const pm = evaluate(tm);
+      const chord = new THREE.Line3(p0, p1);
+      const deviation = chord.closestPointToPoint(pm, true, new THREE.Vector3()).distanceTo(pm);
+      const a = new THREE.Vector3().subVectors(pm, p0);
+      const b = new THREE.Vector3().subVectors(p1, pm);
+      const turn = a.lengthSq() > 0 && b.lengthSq() > 0 ? a.angleTo(b) : 0;
+      if (depth < SPLINE_MAX_DEPTH && (depth < SPLINE_MIN_DEPTH || deviation > tolerance || turn > maxTurn)) {
+        refine(t0, p0, tm, pm, depth + 1);
+        refine(tm, pm, t1, p1, depth + 1);
+      } else {
+        points.push(p1);
+      }
+    };
+
+    for (let i = 0; i < breaks.length - 1; i += 1) {
+      const t0 = breaks[i];
+      const t1 = breaks[i + 1];
+      if (t1 <= t0) continue;
+      refine(t0, points[points.length - 1], t1, evaluate(t1), 0);
+    }
+    return points;
   }
 
   _parsePoint(pairs, index, state) {
@@ -626,7 +1677,7 @@ export class DXFLoader {
     }
     const points = new THREE.Points(geometry, material);
     this._applyLayerToObject(points, data, state);
-    return { object: points, next };
+    return { object: points, next, params: { position: plainPoint(point) } };
   }
 
   _parse3dFace(pairs, index, state) {
@@ -656,12 +1707,157 @@ export class DXFLoader {
       return { object: null, next };
     }
     const color = this._resolveColor(data, state);
-    const geometry = new THREE.BufferGeometry();
     const triangles = [];
     triangles.push(v1, v2, v3);
     if (!v4.equals(v3) && !v4.equals(v2)) {
       triangles.push(v1, v3, v4);
     }
+    const mesh = this._createMesh(triangles, color);
+    this._applyLayerToObject(mesh, data, state);
+    return { object: mesh, next };
+  }
+
+  _createPolyfaceMesh(records, data, state) {
+    // Vertex records carry positions (flag 64 + 128); face records (128
+    // only) list up to four 1-based vertex indices, negative for hidden edges
+    const points = records.filter((record) => record.point && (record.flag & 64) === 64).map((record) => record.point);
+    const triangles = [];
+    records
+      .filter((record) => (record.flag & 192) === 128)
+      .forEach((record) => {
+        const face = [71, 72, 73, 74]
+          .map((code) => Math.abs(getInteger(record.data, code, 0, 0)))
+          .filter((index) => index > 0 && index <= points.length)
+          .map((index) => points[index - 1]);
+        triangulateFan(face, triangles);
+      });
+    if (!triangles.length) return null;
+    const mesh = this._createMesh(triangles, this._resolveColor(data, state));
+    mesh.userData.type = 'POLYFACE';
+    this._applyLayerToObject(mesh, data, state);
+    return mesh;
+  }
+
+  _createPolygonMesh(records, flag, data, state) {
+    // Smoothed meshes keep their original control points (vertex flag 16)
+    // next to the fitted surface, which is what should be drawn
+    const located = records.filter((record) => record.point);
+    const fitted = located.filter((record) => (record.flag & 16) === 0);
+    const smoothed = (flag & 4) === 4 && fitted.length && fitted.length < located.length;
+    const points = (smoothed ? fitted : located).map((record) => record.point);
+    const rows = getInteger(data, smoothed ? 73 : 71, 0, 0);
+    const columns = getInteger(data, smoothed ? 74 : 72, 0, 0);
+    if (rows < 2 || columns < 2 || rows * columns > points.length) return null;
+
+    const closedRows = (flag & 1) === 1;
+    const closedColumns = (flag & 32) === 32;
+    const at = (m, n) => points[(m % rows) * columns + (n % columns)];
+    const triangles = [];
+    for (let m = 0; m < (closedRows ? rows : rows - 1); m += 1) {
+      for (let n = 0; n < (closedColumns ? columns : columns - 1); n += 1) {
+        triangulateFan([at(m, n), at(m + 1, n), at(m + 1, n + 1), at(m, n + 1)], triangles);
+      }
+    }
+    if (!triangles.length) return null;
+    const mesh = this._createMesh(triangles, this._resolveColor(data, state));
+    mesh.userData.type = 'POLYMESH';
+    this._applyLayerToObject(mesh, data, state);
+    return mesh;
+  }
+
+  _parseMesh(pairs, index, state) {
+    const { data, next } = this._collectEntityData(pairs, index);
+    const vertexCount = getInteger(data, 92, 0, 0);
+    const points = readPointList(data, 10, 20, 30).slice(0, vertexCount);
+    // Code 90 holds the face list first (93 values: a size then that many
+    // indices per face), followed by the edge and crease lists
+    const faceList = (data.get(90) || []).slice(0, getInteger(data, 93, 0, 0)).map((value) => parseInt(value, 10));
+    const triangles = [];
+    for (let i = 0; i < faceList.length;) {
+      const size = faceList[i];
+      if (!(size > 0)) break;
+      const face = faceList.slice(i + 1, i + 1 + size)
+        .filter((vertex) => vertex >= 0 && vertex < points.length)
+        .map((vertex) => points[vertex]);
+      triangulateFan(face, triangles);
+      i += size + 1;
+    }
+    if (!triangles.length) {
+      return { object: null, next };
+    }
+    const mesh = this._createMesh(triangles, this._resolveColor(data, state));
+    mesh.userData.type = 'MESH';
+    this._applyLayerToObject(mesh, data, state);
+    return { object: mesh, next };
+  }
+
+  _parseSolid(pairs, index, state, type) {
+    const { data, next } = this._collectEntityData(pairs, index);
+    const first = getPoint(data, 10);
+    const second = getPoint(data, 11);
+    const third = getPoint(data, 12);
+    if (!first || !second || !third) {
+      return { object: null, next };
+    }
+    // The fourth corner is stored before the third: 1-2-4-3 walks the outline
+    const fourth = getPoint(data, 13);
+    const corners = fourth && !fourth.equals(third)
+      ? [first, second, fourth, third]
+      : [first, second, third];
+    this._toWcs(corners, data, state);
+
+    const triangles = [];
+    triangulateFan(corners, triangles);
+    if (!triangles.length) {
+      return { object: null, next };
+    }
+    const mesh = this._createMesh(triangles, this._resolveColor(data, state));
+    mesh.userData.type = type;
+    this._applyLayerToObject(mesh, data, state);
+    return { object: mesh, next };
+  }
+
+  _parseWipeout(pairs, index, state) {
+    const { data, next } = this._collectEntityData(pairs, index);
+    const origin = getPoint(data, 10);
+    const u = getPoint(data, 11);
+    const v = getPoint(data, 12);
+    if (!origin || !u || !v) {
+      return { object: null, next };
+    }
+    // Clip vertices are in image pixels with the origin at the image's top
+    // left corner; a rectangular clip (type 1) only stores two corners.
+    let clip = readPointList(data, 14, 24, 34);
+    if (getInteger(data, 71, 0, 1) === 1 && clip.length === 2) {
+      const [a, b] = clip;
+      clip = [a, new THREE.Vector3(b.x, a.y, 0), b, new THREE.Vector3(a.x, b.y, 0)];
+    }
+    if (clip.length > 2 && clip[clip.length - 1].equals(clip[0])) {
+      clip.pop();
+    }
+    if (clip.length < 3) {
+      return { object: null, next };
+    }
+    const height = getNumber(data, 23, 0, 1);
+    const corner = origin.clone().addScaledVector(u, 0.5).addScaledVector(v, -0.5);
+    const outline = clip.map((point) => corner.clone()
+      .addScaledVector(u, point.x)
+      .addScaledVector(v, height - point.y));
+
+    // Polygonal clips can be concave, so use a proper polygon triangulation
+    const faces = THREE.ShapeUtils.triangulateShape(clip.map((point) => new THREE.Vector2(point.x, point.y)), []);
+    if (!faces.length) {
+      return { object: null, next };
+    }
+    const triangles = faces.flatMap((face) => face.map((vertex) => outline[vertex]));
+    const mesh = this._createMesh(triangles, WIPEOUT_COLOR);
+    mesh.userData.type = 'WIPEOUT';
+    this._applyLayerToObject(mesh, data, state);
+    return { object: mesh, next };
+  }
+
+  _createMesh(triangles, color) {
+    const geometry = new THREE.BufferGeometry();
     geometry.setAttribute('position', new THREE.Float32BufferAttribute(positionsFromVectors(triangles), 3));
     geometry.computeVertexNormals();
     geometry.computeBoundingBox();
@@ -671,90 +1867,557 @@ export class DXFLoader {
       material = new THREE.MeshStandardMaterial({ color, metalness: 0.05, roughness: 0.65, side: THREE.DoubleSide });
       this._materialCache.set(key, material);
     }
-    const mesh = new THREE.Mesh(geometry, material);
-    this._applyLayerToObject(mesh, data, state);
-    return { object: mesh, next };
+    return new THREE.Mesh(geometry, material);
   }
 
   _parseInsert(pairs, index, state) {
-    const { data, next } = this._collectEntityData(pairs, index);
+    const collected = this._collectEntityData(pairs, index);
+    const { data } = collected;
+    let { next } = collected;
+    let attributes = [];
+    if (getInteger(data, 66, 0, 0) === 1) {
+      ({ attributes, next } = this._readInsertAttributes(pairs, next, state));
+    }
+
     const blockName = getString(data, 2, 0, null);
+    if (blockName && !state.blockStack.length) {
+      this._recordAttributes(blockName, attributes, state.blocks.get(blockName), data);
+    }
     if (!blockName || !state.blocks.has(blockName)) {
-      return { object: null, next };
+      return { object: null, next, reason: blockName ? `block "${blockName}" is not defined` : 'no block name' };
+    }
+    // A block that (indirectly) inserts itself would never terminate
+    if (state.blockStack.some((entry) => entry.name === blockName)) {
+      return { object: null, next, reason: `block "${blockName}" inserts itself` };
     }
 
     const block = state.blocks.get(blockName);
-    const instance = block.clone();
-    
-    const x = getNumber(data, 10, 0, 0);
-    const y = getNumber(data, 20, 0, 0);
-    const z = getNumber(data, 30, 0, 0);
-    instance.position.set(x, y, z);
+    const template = this._buildBlock(pairs, block, {
+      layer: this._resolveLayer(data, state),
+      color: this._resolveColor(data, state),
+      linetype: this._resolveLinetype(data, state),
+    }, state);
+    if (!template.children.length) {
+      return { object: null, next, reason: `block "${blockName}" has nothing to draw` };
+    }
+
+    const position = new THREE.Vector3(
+      getNumber(data, 10, 0, 0),
+      getNumber(data, 20, 0, 0),
+      getNumber(data, 30, 0, 0)
+    );
+    const scale = new THREE.Vector3(
+      getNumber(data, 41, 0, 1),
+      getNumber(data, 42, 0, 1),
+      getNumber(data, 43, 0, 1)
+    );
+    const rotation = new THREE.Quaternion().setFromAxisAngle(
+      new THREE.Vector3(0, 0, 1),
+      THREE.MathUtils.degToRad(getNumber(data, 50, 0, 0))
+    );
+    // Insertion point and rotation are in the insert's OCS
+    const placement = new THREE.Matrix4().compose(position, rotation, new THREE.Vector3(1, 1, 1));
+    const ocs = ocsToWcsMatrix(getExtrusion(data));
+    if (ocs) {
+      this._countOcsEntity(state);
+      placement.premultiply(ocs);
+    }
+    // Block geometry is drawn relative to its base point and scaled before
+    // the array offset, which runs along the insert's rotated axes unscaled.
+    const local = new THREE.Matrix4()
+      .makeScale(scale.x, scale.y, scale.z)
+      .multiply(new THREE.Matrix4().makeTranslation(-block.basePoint.x, -block.basePoint.y, -block.basePoint.z));
 
-    const scaleX = getNumber(data, 41, 0, 1);
-    const scaleY = getNumber(data, 42, 0, 1);
-    const scaleZ = getNumber(data, 43, 0, 1);
-    instance.scale.set(scaleX, scaleY, scaleZ);
+    const columns = Math.max(1, getInteger(data, 70, 0, 1));
+    const rows = Math.max(1, getInteger(data, 71, 0, 1));
+    const columnSpacing = getNumber(data, 44, 0, 0);
+    const rowSpacing = getNumber(data, 45, 0, 0);
+    const cells = [];
+    for (let row = 0; row < rows; row += 1) {
+      for (let column = 0; column < columns; column += 1) {
+        const cell = template.clone();
+        cell.applyMatrix4(
+          new THREE.Matrix4()
+            .makeTranslation(column * columnSpacing, row * rowSpacing, 0)
+            .premultiply(placement)
+            .multiply(local)
+        );
+        cells.push(cell);
+      }
+    }
 
-    const rotation = getNumber(data, 50, 0, 0);
-    instance.rotation.z = THREE.MathUtils.degToRad(rotation);
+    // Every cell also repeats whatever blocks the template itself inserts
+    const placed = cells.length * (1 + template.userData.instanceCount);
+    const context = state.blockStack[state.blockStack.length - 1];
+    if (context) {
+      context.instances += placed;
+    } else {
+      this.metadata.blockInstanceCount += placed;
+    }
 
+    let instance = cells[0];
+    if (cells.length > 1) {
+      instance = new THREE.Group();
+      instance.name = blockName;
+      instance.add(...cells);
+      instance.userData.array = { columns, rows, columnSpacing, rowSpacing };
+    }
     this._applyLayerToObject(instance, data, state);
-    return { object: instance, next };
+    const params = {
+      block: blockName,
+      position: plainPoint(position),
+      scale: plainPoint(scale),
+      rotation: getNumber(data, 50, 0, 0),
+    };
+    if (cells.length > 1) {
+      Object.assign(params, { columns, rows, columnSpacing, rowSpacing });
+    }
+    return { object: instance, next, params };
+  }
+
+  _recordAttributes(blockName, attributes, block, data) {
+    // Values typed into the INSERT win; ATTDEF defaults (including constant
+    // attributes, which never get an ATTRIB) fill in the remaining tags.
+    const handle = getString(data, 5, 0, null);
+    const entries = attributes.map((attribute) => ({
+      block: blockName,
+      insert: handle,
+      tag: attribute.tag,
+      value: attribute.value,
+      source: 'ATTRIB',
+    }));
+    const seen = new Set(entries.map((entry) => entry.tag));
+    (block ? block.definitions : []).forEach((definition) => {
+      if (seen.has(definition.tag)) return;
+      seen.add(definition.tag);
+      entries.push({
+        block: blockName,
+        insert: handle,
+        tag: definition.tag,
+        value: definition.value,
+        source: 'ATTDEF',
+      });
+    });
+    this.metadata.attributes.push(...entries);
   }
 
   _parseText(pairs, index, state) {
     const { data, next } = this._collectEntityData(pairs, index);
-    const text = getString(data, 1, 0, '');
-    const x = getNumber(data, 10, 0, 0);
-    const y = getNumber(data, 20, 0, 0);
-    const z = getNumber(data, 30, 0, 0);
+    const raw = (data.get(1) || [''])[0];
+    const text = decodeTextSpecials(String(raw));
     const height = getNumber(data, 40, 0, 1);
+    const widthFactor = getNumber(data, 41, 0, 1) || 1;
+    const oblique = THREE.MathUtils.degToRad(getNumber(data, 51, 0, 0));
+    const mirror = getInteger(data, 71, 0, 0);
+    const hAlign = getInteger(data, 72, 0, 0);
+    const vAlign = getInteger(data, 73, 0, 0);
+    const first = new THREE.Vector3(getNumber(data, 10, 0, 0), getNumber(data, 20, 0, 0), getNumber(data, 30, 0, 0));
+    const second = data.has(11)
+      ? new THREE.Vector3(getNumber(data, 11, 0, 0), getNumber(data, 21, 0, 0), getNumber(data, 31, 0, 0))
+      : first.clone();
+    let rotation = THREE.MathUtils.degToRad(getNumber(data, 50, 0, 0));
 
-    // Create a small marker for text position
+    let runHeight = height;
+    let runWidthFactor = widthFactor;
+    let anchor = hAlign === 0 && vAlign === 0 ? first : second;
+    let width = measureRun(text, runHeight, runWidthFactor);
+    let offsetX = 0;
+    let offsetY = 0;
+
+    if ((hAlign === 3 || hAlign === 5) && width > 0) {
+      // Aligned and fit text stretch between both alignment points; aligned
+      // keeps the aspect ratio, fit only changes the width.
+      const span = first.distanceTo(second);
+      if (span > 0) {
+        rotation = Math.atan2(second.y - first.y, second.x - first.x);
+        if (hAlign === 3) runHeight *= span / width;
+        else runWidthFactor *= span / width;
+        width = span;
+      }
+      anchor = first;
+    } else if (hAlign === 1 || hAlign === 4) {
+      offsetX = -width / 2;
+    } else if (hAlign === 2) {
+      offsetX = -width;
+    }
+
+    if (hAlign === 4) {
+      offsetY = -runHeight / 2;
+    } else if (hAlign < 3) {
+      if (vAlign === 1) offsetY = (runHeight * FONT_DESCENT) / FONT_CAP_HEIGHT;
+      else if (vAlign === 2) offsetY = -runHeight / 2;
+      else if (vAlign === 3) offsetY = -runHeight;
+    }
+
+    const segments = [];
+    strokeRun(text, segments, {
+      x: offsetX,
+      y: offsetY,
+      height: runHeight,
+      widthFactor: runWidthFactor,
+      oblique,
+    });
+    if ((mirror & 2) === 2 || (mirror & 4) === 4) {
+      for (let i = 0; i < segments.length; i += 2) {
+        if ((mirror & 2) === 2) segments[i] = -segments[i];
+        if ((mirror & 4) === 4) segments[i + 1] = -segments[i + 1];
+      }
+    }
+
+    const object = this._createTextObject(segments, this._ocsFrame(anchor, rotation, data, state), data, state);
+    if (object) {
+      object.userData = { type: 'TEXT', content: text, height };
+      this._applyLayerToObject(object, data, state);
+    }
+    return { object, next };
+  }
+
+  _parseMText(pairs, index, state) {
+    const { data, next } = this._collectEntityData(pairs, index);
+    // Long MTEXT strings are split into 250-character chunks under code 3,
+    // with the final chunk under code 1.
+    const raw = (data.get(3) || []).join('') + ((data.get(1) || [''])[0] || '');
+    const height = getNumber(data, 40, 0, 1);
+    const referenceWidth = getNumber(data, 41, 0, 0);
+    const attachment = getInteger(data, 71, 0, 1);
+    const spacingFactor = getNumber(data, 44, 0, 1) || 1;
+    const anchor = new THREE.Vector3(getNumber(data, 10, 0, 0), getNumber(data, 20, 0, 0), getNumber(data, 30, 0, 0));
+    // MTEXT stores its insertion point and X direction in WCS; without an X
+    // direction the rotation angle applies in the OCS.
+    const normal = getExtrusion(data).normalize();
+    let frame;
+    if (data.has(11) && normal.lengthSq() > 0) {
+      const xAxis = new THREE.Vector3(getNumber(data, 11, 0, 1), getNumber(data, 21, 0, 0), getNumber(data, 31, 0, 0)).normalize();
+      const yAxis = new THREE.Vector3().crossVectors(normal, xAxis).normalize();
+      frame = { origin: anchor, xAxis, yAxis };
+    } else {
+      const rotation = THREE.MathUtils.degToRad(getNumber(data, 50, 0, 0));
+      frame = this._ocsFrame(new THREE.Vector3(), rotation, data, state);
+      frame.origin = anchor;
+    }
+
+    const lines = wrapMTextLines(parseMTextContent(raw, height), referenceWidth);
+    const column = (Math.max(1, Math.min(9, attachment)) - 1) % 3;
+    const row = Math.floor((Math.max(1, Math.min(9, attachment)) - 1) / 3);
+
+    // Lay lines out downward from the top of the text block, then shift the
+    // block so the attachment point lands on the insertion point.
+    const placed = [];
+    let baseline = 0;
+    lines.forEach((runs, lineIndex) => {
+      const lineHeight = runs.reduce((max, run) => Math.max(max, run.height), runs.length ? 0 : height);
+      baseline -= lineIndex === 0 ? lineHeight : lineHeight * MTEXT_LINE_SPACING * spacingFactor;
+      const lastRun = runs[runs.length - 1];
+      const lineWidth = runs.reduce((sum, run) => sum + runAdvance(run.text, run.height, run.widthFactor), 0)
+        - (lastRun ? runAdvance(lastRun.text, lastRun.height, lastRun.widthFactor)
+          - measureRun(lastRun.text, lastRun.height, lastRun.widthFactor) : 0);
+      placed.push({ runs, baseline, lineWidth });
+    });
+    const blockHeight = -baseline;
+    const offsetY = row === 0 ? 0 : row === 1 ? blockHeight / 2 : blockHeight;
+
+    const segments = [];
+    const plain = [];
+    placed.forEach(({ runs, baseline: lineBaseline, lineWidth }) => {
+      let x = column === 0 ? 0 : column === 1 ? -lineWidth / 2 : -lineWidth;
+      runs.forEach((run) => {
+        x += strokeRun(run.text, segments, {
+          x,
+          y: lineBaseline + offsetY,
+          height: run.height,
+          widthFactor: run.widthFactor,
+        });
+      });
+      plain.push(runs.map((run) => run.text).join(''));
+    });
+
+    const object = this._createTextObject(segments, frame, data, state);
+    if (object) {
+      object.userData = { type: 'TEXT', content: plain.join('\n'), height };
+      this._applyLayerToObject(object, data, state);
+    }
+    return { object, next };
+  }
+
+  _ocsFrame(origin, rotation, data, state) {
+    const frame = {
+      origin: origin.clone(),
+      xAxis: new THREE.Vector3(Math.cos(rotation), Math.sin(rotation), 0),
+      yAxis: new THREE.Vector3(-Math.sin(rotation), Math.cos(rotation), 0),
+    };
+    const matrix = ocsToWcsMatrix(getExtrusion(data));
+    if (matrix) {
+      this._countOcsEntity(state);
+      frame.origin.applyMatrix4(matrix);
+      frame.xAxis.transformDirection(matrix);
+      frame.yAxis.transformDirection(matrix);
+    }
+    return frame;
+  }
+
+  _createTextObject(segments, frame, data, state) {
+    if (!segments.length) {
+      return null;
+    }
+    const { origin, xAxis, yAxis } = frame;
+    const points = [];
+    for (let i = 0; i < segments.length; i += 2) {
+      points.push(origin.clone()
+        .addScaledVector(xAxis, segments[i])
+        .addScaledVector(yAxis, segments[i + 1]));
+    }
     const geometry = new THREE.BufferGeometry();
-    const position = new THREE.Vector3(x, y, z);
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positionsFromVectors([position]), 3));
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positionsFromVectors(points), 3));
     geometry.computeBoundingBox();
-    
     const color = this._resolveColor(data, state);
-    const key = createMaterialKey(color, 'points');
+    const key = createMaterialKey(color, 'line');
     let material = this._materialCache.get(key);
     if (!material) {
-      material = new THREE.PointsMaterial({ size: 2.5, color });
+      material = new THREE.LineBasicMaterial({ color, linewidth: this.options.defaultLineWidth });
       this._materialCache.set(key, material);
     }
-    const points = new THREE.Points(geometry, material);
-    points.userData = { type: 'TEXT', content: text, height };
-    this._applyLayerToObject(points, data, state);
-    return { object: points, next };
+    return new THREE.LineSegments(geometry, material);
   }
 
   _parseDimension(pairs, index, state) {
     const { data, next } = this._collectEntityData(pairs, index);
-    
-    // Get dimension line points
-    const x13 = getNumber(data, 13, 0, NaN);
-    const y13 = getNumber(data, 23, 0, NaN);
-    const z13 = getNumber(data, 33, 0, 0);
-    const x14 = getNumber(data, 14, 0, NaN);
-    const y14 = getNumber(data, 24, 0, NaN);
-    const z14 = getNumber(data, 34, 0, 0);
-
-    if (!Number.isFinite(x13) || !Number.isFinite(y13) || !Number.isFinite(x14) || !Number.isFinite(y14)) {
+    const dimType = getInteger(data, 70, 0, 0) & 7;
+    const kind = DIMENSION_KINDS[dimType] || 'linear';
+    const points = {
+      definition: getPoint(data, 10),
+      first: getPoint(data, 13),
+      second: getPoint(data, 14),
+      target: getPoint(data, 15),
+    };
+    const measurement = getNumber(data, 42, 0, NaN);
+    const override = (data.get(1) || [''])[0] || '';
+
+    // Linear dimensions draw between their extension line origins; radius
+    // and diameter dimensions draw their leader across the curve.
+    let start = null;
+    let end = null;
+    if (points.first && points.second) {
+      start = points.first;
+      end = points.second;
+    } else if (points.definition && points.target) {
+      start = points.definition;
+      end = points.target;
+    }
+    if (!start || !end) {
       return { object: null, next };
     }
 
-    const start = new THREE.Vector3(x13, y13, z13);
-    const end = new THREE.Vector3(x14, y14, z14);
-    
+    // An empty override or one containing "<>" shows the measured value;
+    // anything else is text typed over the measurement.
+    const measuredText = Number.isFinite(measurement)
+      ? formatDimensionValue(kind === 'angular' ? THREE.MathUtils.radToDeg(measurement) : measurement)
+      : '';
+    const plainOverride = parseMTextContent(override, 1)
+      .map((runs) => runs.map((run) => run.text).join(''))
+      .join(' ')
+      .trim();
+    const overridden = plainOverride !== '' && !plainOverride.includes('<>');
+    const displayText = plainOverride === '' ? measuredText : plainOverride.replace('<>', measuredText);
+    const stated = parseStatedValue(displayText);
+
     const color = this._resolveColor(data, state);
-    const line = this._createLine([start, end], false, color);
-    line.userData = { type: 'DIMENSION' };
+    const line = this._createLine([start.clone(), end.clone()], false, color);
+    line.userData = {
+      type: 'DIMENSION',
+      dimType,
+      kind,
+      measurement: Number.isFinite(measurement) ? measurement : null,
+      text: displayText,
+      overridden,
+      statedValue: stated ? stated.value : null,
+      statedDecimals: stated ? stated.decimals : 0,
+      rotation: THREE.MathUtils.degToRad(getNumber(data, 50, 0, 0)),
+      points,
+    };
     this._applyLayerToObject(line, data, state);
     return { object: line, next };
   }
 
+  _parseHatch(pairs, index, state) {
+    const { data, next } = this._collectEntityData(pairs, index);
+    const elevation = getNumber(data, 30, 0, 0);
+    const paths = this._readHatchBoundaries(pairs, index, next, elevation);
+    if (!paths.length) {
+      return { object: null, next };
+    }
+
+    this._toWcs(paths.flatMap((path) => path.points), data, state);
+    const color = this._resolveColor(data, state);
+    const hatch = new THREE.Group();
+    hatch.userData = { type: 'HATCH', pattern: getString(data, 2, 0, null), solid: getInteger(data, 70, 0, 0) === 1 };
+    for (const path of paths) {
+      const loop = this._createLine(path.points, true, color);
+      loop.userData = { type: 'HATCH', pathFlag: path.flag };
+      this._applyLayerToObject(loop, data, state);
+      hatch.add(loop);
+    }
+    this._applyLayerToObject(hatch, data, state);
+    return { object: hatch, next };
+  }
+
+  _readHatchBoundaries(pairs, start, end, elevation) {
+    // Boundary data reuses group codes (10/20, 72, 73, 97 …) with meanings
+    // that depend on position, so it is read in order rather than via
+    // _collectEntityData.
+    let i = start;
+    while (i < end && pairs[i].code !== 91) i += 1;
+    if (i >= end) return [];
+    const pathCount = parseInt(pairs[i].value, 10) || 0;
+    i += 1;
+
+    const codeAt = (offset = 0) => (i + offset < end ? pairs[i + offset].code : null);
+    const read = (code, fallback = null) => {
+      if (codeAt() !== code) return fallback;
+      const { value } = pairs[i];
+      i += 1;
+      return value;
+    };
+    const readNumber = (code, fallback = 0) => {
+      const value = parseFloat(read(code, ''));
+      return Number.isFinite(value) ? value : fallback;
+    };
+    const readInteger = (code, fallback = 0) => {
+      const value = parseInt(read(code, ''), 10);
+      return Number.isNaN(value) ? fallback : value;
+    };
+    const readPoint = (xCode, yCode) => new THREE.Vector3(readNumber(xCode), readNumber(yCode), elevation);
+
+    const paths = [];
+    for (let p = 0; p < pathCount; p += 1) {
+      while (i < end && codeAt() !== 92) i += 1;
+      if (i >= end) break;
+      const flag = readInteger(92);
+      let points = [];
+
+      if ((flag & 2) === 2) {
+        const hasBulge = readInteger(72) === 1;
+        read(73);
+        const count = readInteger(93);
+        const vertices = [];
+        const bulges = [];
+        for (let v = 0; v < count; v += 1) {
+          vertices.push(readPoint(10, 20));
+          bulges.push(hasBulge ? readNumber(42, 0) : 0);
+        }
+        if (vertices.length) {
+          points.push(vertices[0].clone());
+          for (let v = 0; v < vertices.length; v += 1) {
+            const from = vertices[v];
+            const to = vertices[(v + 1) % vertices.length];
+            if (from.equals(to)) continue;
+            if (Math.abs(bulges[v]) > 1e-6) {
+              points.push(...this._bulgeToArc(from, to, bulges[v]));
+            } else {
+              points.push(to.clone());
+            }
+          }
+        }
+      } else {
+        const edgeCount = readInteger(93);
+        for (let e = 0; e < edgeCount; e += 1) {
+          const edgeType = readInteger(72);
+          let edgePoints = [];
+          if (edgeType === 1) {
+            edgePoints = [readPoint(10, 20), readPoint(11, 21)];
+          } else if (edgeType === 2) {
+            const center = readPoint(10, 20);
+            const radius = readNumber(40);
+            const startAngle = readNumber(50);
+            const endAngle = readNumber(51);
+            const ccw = readInteger(73, 1) === 1;
+            edgePoints = this._ellipticalArcPoints(center, new THREE.Vector3(radius, 0, 0), 1, startAngle, endAngle, ccw);
+          } else if (edgeType === 3) {
+            const center = readPoint(10, 20);
+            const major = readPoint(11, 21).setZ(0);
+            const ratio = readNumber(40, 1);
+            const startAngle = readNumber(50);
+            const endAngle = readNumber(51);
+            const ccw = readInteger(73, 1) === 1;
+            edgePoints = this._ellipticalArcPoints(center, major, ratio, startAngle, endAngle, ccw);
+          } else if (edgeType === 4) {
+            const degree = Math.max(1, readInteger(94, 3));
+            const rational = readInteger(73) === 1;
+            const periodic = readInteger(74) === 1;
+            const knotCount = readInteger(95);
+            const controlCount = readInteger(96);
+            const knots = [];
+            for (let k = 0; k < knotCount; k += 1) knots.push(readNumber(40));
+            const controlPoints = [];
+            const weights = [];
+            // Weights may follow each control point or come as one block
+            for (let c = 0; c < controlCount; c += 1) {
+              controlPoints.push(readPoint(10, 20));
+              if (rational && codeAt() === 42) weights.push(readNumber(42, 1));
+            }
+            while (codeAt() === 42) weights.push(readNumber(42, 1));
+            // R2010+ adds fit data after the control points. Its count shares
+            // code 97 with the path's source-object count that follows the
+            // last edge, so only take it when fit or tangent data comes next.
+            const fitPoints = [];
+            let startTangent = null;
+            let endTangent = null;
+            if (codeAt() === 97 && [97, 11, 12, 13, 72].includes(codeAt(1))) {
+              const fitCount = readInteger(97);
+              for (let f = 0; f < fitCount; f += 1) fitPoints.push(readPoint(11, 21));
+              if (codeAt() === 12) startTangent = readPoint(12, 22).setZ(0);
+              if (codeAt() === 13) endTangent = readPoint(13, 23).setZ(0);
+            }
+            if (controlPoints.length > degree) {
+              const nurbs = prepareNurbs(degree, knots, controlPoints, weights, periodic);
+              edgePoints = this._tessellateCurve((u) => evaluateNurbs(nurbs, u), nurbs.breaks, controlPoints);
+            } else if (fitPoints.length >= 2) {
+              const nurbs = interpolateFitPoints(fitPoints, startTangent, endTangent, false);
+              edgePoints = nurbs
+                ? this._tessellateCurve((u) => evaluateNurbs(nurbs, u), nurbs.breaks, nurbs.points)
+                : fitPoints;
+            } else {
+              edgePoints = controlPoints;
+            }
+          }
+          edgePoints.forEach((point, k) => {
+            if (k === 0 && points.length && points[points.length - 1].distanceTo(point) < 1e-9) return;
+            points.push(point);
+          });
+        }
+      }
+
+      const sourceCount = readInteger(97);
+      for (let s = 0; s < sourceCount; s += 1) read(330);
+
+      if (points.length > 2 && points[0].distanceTo(points[points.length - 1]) < 1e-9) {
+        points = points.slice(0, -1);
+      }
+      if (points.length >= 3) {
+        paths.push({ points, flag });
+      }
+    }
+    return paths;
+  }
+
+  _ellipticalArcPoints(center, major, ratio, startDeg, endDeg, ccw) {
+    // Clockwise hatch edges store mirrored angles, so walk them negated
+    const minor = new THREE.Vector3(-major.y, major.x, 0).multiplyScalar(ratio);
+    let sweep = endDeg - startDeg;
+    while (sweep <= 0) sweep += 360;
+    if (sweep > 360) sweep = 360;
+    const direction = ccw ? 1 : -1;
+    const segmentAngle = this.options.arcSegmentAngle;
+    const steps = Math.max(8, Math.ceil(sweep / segmentAngle));
+    const points = [];
+    for (let step = 0; step <= steps; step += 1) {
+      const t = THREE.MathUtils.degToRad(direction * (startDeg + (sweep * step) / steps));
+      points.push(center.clone()
+        .addScaledVector(major, Math.cos(t))
+        .addScaledVector(minor, Math.sin(t)));
+    }
+    return points;
+  }
+
   _collectEntityData(pairs, index) {
     const data = new Map();
     let i = index;
@@ -770,20 +2433,33 @@ export class DXFLoader {
     return { data, next: i };
   }
 
-  _createLine(points, closed, color) {
+  _createLine(points, closed, color, linetype = null) {
     if (closed && points.length > 1 && !points[0].equals(points[points.length - 1])) {
       points.push(points[0].clone());
     }
     const geometry = new THREE.BufferGeometry();
     geometry.setAttribute('position', new THREE.Float32BufferAttribute(positionsFromVectors(points), 3));
     geometry.computeBoundingBox();
-    const key = createMaterialKey(color, 'line');
+    const key = linetype
+      ? createMaterialKey(color, `dashed:${linetype.dashSize}:${linetype.gapSize}`)
+      : createMaterialKey(color, 'line');
     let material = this._materialCache.get(key);
     if (!material) {
-      material = new THREE.LineBasicMaterial({ color, linewidth: this.options.defaultLineWidth });
+      material = linetype
+        ? new THREE.LineDashedMaterial({
+          color,
+          linewidth: this.options.defaultLineWidth,
+          dashSize: linetype.dashSize,
+          gapSize: linetype.gapSize,
+        })
+        : new THREE.LineBasicMaterial({ color, linewidth: this.options.defaultLineWidth });
       this._materialCache.set(key, material);
     }
     const line = closed ? new THREE.LineLoop(geometry, material) : new THREE.Line(geometry, material);
+    if (linetype) {
+      line.computeLineDistances();
+      line.userData.linetype = linetype.name;
+    }
     return line;
   }
 
@@ -823,21 +2499,108 @@ export class DXFLoader {
     if (trueColor != null) return trueColor;
     
     const aci = getInteger(data, 62, 0, null);
+    const context = state.blockStack[state.blockStack.length - 1];
+    if (aci === 0 && context) {
+      // ByBlock takes the colour of the INSERT currently being expanded
+      return context.color;
+    }
     if (aci != null) {
       const mapped = this._aciToHex(aci);
       if (mapped != null) return mapped;
     }
     
-    const layer = getString(data, 8, 0, null);
+    const layer = this._resolveLayer(data, state);
     if (layer && state.layers.has(layer)) {
-      return state.layers.get(layer);
+      return state.layers.get(layer).color;
     }
     
     return this.options.defaultColor;
   }
 
+  _resolveLinetype(data, state) {
+    const name = (getString(data, 6, 0, null) || 'BYLAYER').toUpperCase();
+    if (name === 'BYBLOCK') {
+      const context = state.blockStack[state.blockStack.length - 1];
+      return context ? context.linetype : 'CONTINUOUS';
+    }
+    if (name === 'BYLAYER') {
+      const layer = state.layers.get(this._resolveLayer(data, state));
+      return layer ? layer.linetype.toUpperCase() : 'CONTINUOUS';
+    }
+    return name;
+  }
+
+  _linetypeStyle(data, state) {
+    const linetype = state.linetypes.get(this._resolveLinetype(data, state));
+    if (!linetype || !linetype.pattern.some((element) => element < 0) || linetype.length <= 0) {
+      return null;
+    }
+    const scale = (state.header.$LTSCALE || 1) * getNumber(data, 48, 0, 1);
+    // LineDashedMaterial draws a single dash/gap pair, so the pattern is
+    // reduced to its longest dash with the rest of the period as the gap.
+    // Dot-only patterns still get a short visible dash.
+    const dash = Math.max(...linetype.pattern, linetype.length * 0.1);
+    return {
+      name: linetype.name,
+      dashSize: dash * scale,
+      gapSize: Math.max(linetype.length - dash, linetype.length * 0.1) * scale,
+    };
+  }
+
+  _resolveLayer(data, state) {
+    const layer = getString(data, 8, 0, null);
+    const context = state.blockStack[state.blockStack.length - 1];
+    // Entities on layer 0 inside a block adopt the inserting entity's layer
+    if (context && (!layer || layer === '0')) {
+      return context.layer;
+    }
+    return layer;
+  }
+
+  _toWcs(points, data, state) {
+    const matrix = ocsToWcsMatrix(getExtrusion(data));
+    if (matrix) {
+      this._countOcsEntity(state);
+      points.forEach((point) => point.applyMatrix4(matrix));
+    }
+    return points;
+  }
+
+  _countOcsEntity(state) {
+    const context = state.blockStack[state.blockStack.length - 1];
+    if (!context || context.firstBuild) {
+      this.metadata.ocsEntityCount += 1;
+    }
+  }
+
+  _summarizeLayers(groups, state) {
+    // Table entries first (in file order), then any layer that entities use
+    // without the file declaring it
+    const summary = new Map();
+    state.layers.forEach((layer, name) => {
+      summary.set(name, { ...layer, objectCount: 0 });
+    });
+    groups.forEach((group) => group.traverse((child) => {
+      if (!child.geometry) return;
+      const name = child.userData.layer || '0';
+      if (!summary.has(name)) {
+        summary.set(name, {
+          name,
+          color: this.options.defaultColor,
+          on: true,
+          frozen: false,
+          locked: false,
+          linetype: 'CONTINUOUS',
+          objectCount: 0,
+        });
+      }
+      summary.get(name).objectCount += 1;
+    }));
+    return [...summary.values()];
+  }
+
   _applyLayerToObject(object, data, state) {
-    const layerName = getString(data, 8, 0, null);
+    const layerName = this._resolveLayer(data, state);
     if (layerName) {
       object.userData.layer = layerName;
     }
@@ -895,6 +2658,10 @@ export class DXFLoader {
   getMetadata() {
     return this.metadata;
   }
+
+  getLayouts() {
+    return this.layouts;
+  }
 }
 
 export default DXFLoader;
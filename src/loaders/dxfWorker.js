@@ -0,0 +1,147 @@
+// Parses a DXF file off the main thread. The file is read as a stream and
+// tokenized chunk by chunk so progress can be reported; the finished scene is
+// sent back as plain records whose vertex buffers are transferred rather than
+// copied.
+//
+// Import maps do not reach workers, so the loader is fetched as source and its
+// bare 'three' import is pointed at the URL the page resolved.
+
+const PROGRESS_STEP = 0.01;
+
+async function importLoader(threeUrl) {
+  const loaderUrl = new URL('./DXFLoader.js', import.meta.url);
+  const response = await fetch(loaderUrl);
+  if (!response.ok) {
+    throw new Error(`Could not load the DXF parser (${response.status}).`);
+  }
+  const source = (await response.text())
+    .replace(/from\s+'three'/g, `from '${threeUrl}'`)
+    .replace(/from\s+'(\.{1,2}\/[^']+)'/g, (match, path) => `from '${new URL(path, loaderUrl)}'`);
+  const blobUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+  try {
+    return await import(blobUrl);
+  } finally {
+    URL.revokeObjectURL(blobUrl);
+  }
+}
+
+function createProgress(stage) {
+  let reported = -1;
+  return (fraction) => {
+    if (fraction - reported < PROGRESS_STEP && fraction < 1) return;
+    reported = fraction;
+    self.postMessage({ type: 'progress', stage, fraction });
+  };
+}
+
+async function readFile(file, tokenizer) {
+  const progress = createProgress('read');
+  const reader = file.stream().getReader();
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    tokenizer.push(value);
+    loaded += value.byteLength;
+    progress(file.size ? loaded / file.size : 1);
+  }
+  return tokenizer.finish();
+}
+
+function serializeMaterial(material) {
+  const record = { type: material.type, color: material.color.getHex() };
+  ['linewidth', 'dashSize', 'gapSize', 'scale', 'size', 'metalness', 'roughness', 'side', 'transparent', 'opacity']
+    .forEach((key) => {
+      if (material[key] !== undefined) {
+        record[key] = material[key];
+      }
+    });
+  return record;
+}
+
+// Block instances share geometry and materials; each is sent once and
+// referenced by index so a buffer is never listed twice in the transfer.
+function createSerializer() {
+  const geometries = [];
+  const materials = [];
+  const geometryIndex = new Map();
+  const materialIndex = new Map();
+  const transfer = new Set();
+
+  const indexOf = (map, list, item, serialize) => {
+    if (!map.has(item)) {
+      map.set(item, list.length);
+      list.push(serialize(item));
+    }
+    return map.get(item);
+  };
+
+  const serializeGeometry = (geometry) => {
+    const attributes = {};
+    Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+      attributes[name] = { array: attribute.array, itemSize: attribute.itemSize };
+      transfer.add(attribute.array.buffer);
+    });
+    const index = geometry.index ? geometry.index.array : null;
+    if (index) {
+      transfer.add(index.buffer);
+    }
+    return { attributes, index };
+  };
+
+  const serialize = (object) => {
+    object.updateMatrix();
+    const node = {
+      type: object.type,
+      name: object.name,
+      matrix: object.matrix.toArray(),
+      visible: object.visible,
+      userData: object.userData,
+      children: object.children.map(serialize),
+    };
+    if (object.geometry) {
+      node.geometry = indexOf(geometryIndex, geometries, object.geometry, serializeGeometry);
+      node.material = indexOf(materialIndex, materials, object.material, serializeMaterial);
+    }
+    return node;
+  };
+
+  return { serialize, geometries, materials, transfer };
+}
+
+self.onmessage = async (event) => {
+  const { file, threeUrl, loaderOptions } = event.data;
+  let parser;
+  try {
+    parser = await importLoader(threeUrl);
+  } catch (error) {
+    // Lets the page fall back to parsing on the main thread
+    self.postMessage({ type: 'unavailable', message: error.message || String(error) });
+    return;
+  }
+  try {
+    const { DXFLoader, DxfTokenizer } = parser;
+    const { pairs, format } = await readFile(file, new DxfTokenizer());
+
+    const loader = new DXFLoader({ ...loaderOptions, onProgress: createProgress('parse') });
+    const group = loader.parsePairs(pairs, format);
+
+    self.postMessage({ type: 'progress', stage: 'transfer', fraction: 0 });
+    const serializer = createSerializer();
+    const scene = serializer.serialize(group);
+    const layouts = loader.getLayouts().map((layout) => ({
+      name: layout.name,
+      scene: serializer.serialize(layout.group),
+    }));
+    self.postMessage({
+      type: 'done',
+      scene,
+      layouts,
+      geometries: serializer.geometries,
+      materials: serializer.materials,
+      metadata: loader.getMetadata(),
+    }, [...serializer.transfer]);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || String(error), diagnostics: error.diagnostics || null });
+  }
+};
@@ -0,0 +1,110 @@
+// Runs occt-import-js off the main thread. This is a classic worker because
+// the library is a plain script; its WASM file is fetched from next to the
+// script URL the page loaded it from. Triangulated meshes are sent back as
+// typed arrays whose buffers are transferred rather than copied.
+//
+// The worker stays alive between jobs so the WASM module is compiled once.
+
+const PROGRESS_STEP = 0.01;
+
+let modulePromise = null;
+
+function loadModule(scriptUrl) {
+  if (!modulePromise) {
+    importScripts(scriptUrl);
+    modulePromise = self.occtimportjs({
+      locateFile: (path) => new URL(path, scriptUrl).href,
+    });
+  }
+  return modulePromise;
+}
+
+function createProgress(stage) {
+  let reported = -1;
+  return (fraction) => {
+    if (fraction - reported < PROGRESS_STEP && fraction < 1) return;
+    reported = fraction;
+    self.postMessage({ type: 'progress', stage, fraction });
+  };
+}
+
+async function readFile(file) {
+  const progress = createProgress('read');
+  const bytes = new Uint8Array(file.size);
+  const reader = file.stream().getReader();
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    bytes.set(value, loaded);
+    loaded += value.byteLength;
+    progress(file.size ? loaded / file.size : 1);
+  }
+  return bytes;
+}
+
+// Flattens the loader's mesh records to plain typed arrays
+function packMeshes(meshes, transfer) {
+  return meshes.map((mesh) => {
+    const attributes = mesh && mesh.attributes;
+    const position = attributes && attributes.position && attributes.position.array;
+    if (!position) {
+      return null;
+    }
+    const positions = new Float32Array(position);
+    const source = mesh.index && mesh.index.array;
+    const index = source ? new Uint32Array(source) : null;
+    transfer.push(positions.buffer);
+    if (index) {
+      transfer.push(index.buffer);
+    }
+    return {
+      name: mesh.name || '',
+      color: mesh.color || null,
+      attributes: { position: { array: positions } },
+      index: index ? { array: index } : null,
+      brep_faces: mesh.brep_faces || null,
+    };
+  });
+}
+
+self.onmessage = async (event) => {
+  const {
+    scriptUrl,
+    file,
+    bytes,
+    method,
+    params,
+  } = event.data;
+  let occt;
+  try {
+    occt = await loadModule(scriptUrl);
+  } catch (error) {
+    // Lets the page fall back to importing on the main thread
+    self.postMessage({ type: 'unavailable', message: error.message || String(error) });
+    return;
+  }
+  try {
+    const data = bytes || await readFile(file);
+
+    self.postMessage({ type: 'progress', stage: 'mesh', fraction: null });
+    const start = performance.now();
+    const result = occt[method](data, params);
+    const importMs = performance.now() - start;
+    if (!result || !result.success) {
+      self.postMessage({ type: 'done', result: { success: false }, importMs });
+      return;
+    }
+
+    self.postMessage({ type: 'progress', stage: 'transfer', fraction: 0 });
+    const transfer = [];
+    const meshes = packMeshes(result.meshes || [], transfer);
+    self.postMessage({
+      type: 'done',
+      result: { success: true, root: result.root || null, meshes },
+      importMs,
+    }, transfer);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || String(error) });
+  }
+};
@@ -0,0 +1,166 @@
+// Single-stroke vector font used to draw DXF TEXT/MTEXT as line geometry.
+// Glyphs sit on a grid where the cap height is 6 units, the x-height 4 and
+// descenders reach -2. Every glyph is 4 units wide with a 1 unit gap, which
+// keeps layout simple and reads like a typical engraving font.
+
+export const FONT_CAP_HEIGHT = 6;
+export const FONT_DESCENT = 2;
+const GLYPH_WIDTH = 4;
+const GLYPH_GAP = 1;
+const GLYPH_ADVANCE = GLYPH_WIDTH + GLYPH_GAP;
+
+// Strokes are separated by '|', points within a stroke by spaces.
+const GLYPH_SOURCE = {
+  A: '0,0 2,6 4,0|0.7,2 3.3,2',
+  B: '0,0 0,6 3,6 4,5 4,4 3,3 0,3|3,3 4,2 4,1 3,0 0,0',
+  C: '4,5 3,6 1,6 0,5 0,1 1,0 3,0 4,1',
+  D: '0,0 0,6 2.5,6 4,4.5 4,1.5 2.5,0 0,0',
+  E: '4,6 0,6 0,0 4,0|0,3 3,3',
+  F: '4,6 0,6 0,0|0,3 3,3',
+  G: '4,5 3,6 1,6 0,5 0,1 1,0 3,0 4,1 4,3 2,3',
+  H: '0,0 0,6|4,0 4,6|0,3 4,3',
+  I: '1,6 3,6|2,6 2,0|1,0 3,0',
+  J: '4,6 4,1 3,0 1,0 0,1',
+  K: '0,0 0,6|4,6 0,2|1.3,3.3 4,0',
+  L: '0,6 0,0 4,0',
+  M: '0,0 0,6 2,3 4,6 4,0',
+  N: '0,0 0,6 4,0 4,6',
+  O: '1,0 0,1 0,5 1,6 3,6 4,5 4,1 3,0 1,0',
+  P: '0,0 0,6 3,6 4,5 4,4 3,3 0,3',
+  Q: '1,0 0,1 0,5 1,6 3,6 4,5 4,1 3,0 1,0|2.5,1.5 4,-0.5',
+  R: '0,0 0,6 3,6 4,5 4,4 3,3 0,3|2,3 4,0',
+  S: '4,5 3,6 1,6 0,5 0,4 1,3 3,3 4,2 4,1 3,0 1,0 0,1',
+  T: '0,6 4,6|2,6 2,0',
+  U: '0,6 0,1 1,0 3,0 4,1 4,6',
+  V: '0,6 2,0 4,6',
+  W: '0,6 1,0 2,4 3,0 4,6',
+  X: '0,0 4,6|0,6 4,0',
+  Y: '0,6 2,3 4,6|2,3 2,0',
+  Z: '0,6 4,6 0,0 4,0',
+  a: '1,4 3,4 4,3 4,0|4,2 1,2 0,1.5 0,0.8 1,0 3,0 4,1',
+  b: '0,6 0,0|0,3 1,4 3,4 4,3 4,1 3,0 1,0 0,1',
+  c: '4,3 3,4 1,4 0,3 0,1 1,0 3,0 4,1',
+  d: '4,6 4,0|4,3 3,4 1,4 0,3 0,1 1,0 3,0 4,1',
+  e: '0,2 4,2 4,3 3,4 1,4 0,3 0,1 1,0 3.5,0',
+  f: '3.5,6 2.5,6 1.5,5 1.5,0|0,4 3,4',
+  g: '4,4 4,-1 3,-2 1,-2 0,-1.5|4,3 3,4 1,4 0,3 0,1 1,0 3,0 4,1',
+  h: '0,6 0,0|0,3 1,4 3,4 4,3 4,0',
+  i: '2,4 2,0|2,5.3 2,5.7',
+  j: '3,4 3,-1 2,-2 1,-2|3,5.3 3,5.7',
+  k: '0,6 0,0|4,4 0,1.5|1.3,2.3 4,0',
+  l: '1.5,6 1.5,0.8 2.3,0',
+  m: '0,0 0,4|0,3 1,4 2,3 2,0|2,3 3,4 4,3 4,0',
+  n: '0,0 0,4|0,3 1,4 3,4 4,3 4,0',
+  o: '1,0 0,1 0,3 1,4 3,4 4,3 4,1 3,0 1,0',
+  p: '0,4 0,-2|0,3 1,4 3,4 4,3 4,1 3,0 1,0 0,1',
+  q: '4,4 4,-2|4,3 3,4 1,4 0,3 0,1 1,0 3,0 4,1',
+  r: '0,0 0,4|0,2.5 1.5,4 3.5,4',
+  s: '4,3.5 3,4 1,4 0,3.2 1,2 3,2 4,1 3,0 1,0 0,0.5',
+  t: '1.5,6 1.5,1 2.5,0 3.5,0|0,4 3.5,4',
+  u: '0,4 0,1 1,0 3,0 4,1|4,4 4,0',
+  v: '0,4 2,0 4,4',
+  w: '0,4 1,0 2,3 3,0 4,4',
+  x: '0,0 4,4|0,4 4,0',
+  y: '0,4 2,0|4,4 1,-2 0,-2',
+  z: '0,4 4,4 0,0 4,0',
+  0: '1,0 0.5,1 0.5,5 1,6 3,6 3.5,5 3.5,1 3,0 1,0',
+  1: '1,5 2,6 2,0|1,0 3,0',
+  2: '0,5 1,6 3,6 4,5 4,4 0,0 4,0',
+  3: '0,5 1,6 3,6 4,5 4,4 3,3 1.5,3|3,3 4,2 4,1 3,0 1,0 0,1',
+  4: '3,0 3,6 0,2 4,2',
+  5: '4,6 0,6 0,3.5 3,3.5 4,2.5 4,1 3,0 1,0 0,1',
+  6: '3.5,6 1,6 0,5 0,1 1,0 3,0 4,1 4,2.5 3,3.5 1,3.5 0,2.5',
+  7: '0,6 4,6 1.5,0',
+  8: '1,3 0,4 0,5 1,6 3,6 4,5 4,4 3,3 1,3 0,2 0,1 1,0 3,0 4,1 4,2 3,3',
+  9: '0.5,0 3,0 4,1 4,5 3,6 1,6 0,5 0,3.5 1,2.5 3,2.5 4,3.5',
+  ' ': '',
+  '.': '2,0 2,0.4',
+  ',': '2,0.4 2,0 1.5,-1',
+  ':': '2,0 2,0.4|2,3 2,3.4',
+  ';': '2,3 2,3.4|2,0.4 2,0 1.5,-1',
+  '-': '0.5,3 3.5,3',
+  _: '0,-0.5 4,-0.5',
+  '+': '0,3 4,3|2,1 2,5',
+  '=': '0.5,2 3.5,2|0.5,4 3.5,4',
+  '/': '0,0 4,6',
+  '\\': '0,6 4,0',
+  '(': '3,6.5 2,5.5 1.5,3 2,0.5 3,-0.5',
+  ')': '1,6.5 2,5.5 2.5,3 2,0.5 1,-0.5',
+  '[': '3,6.5 1.5,6.5 1.5,-0.5 3,-0.5',
+  ']': '1,6.5 2.5,6.5 2.5,-0.5 1,-0.5',
+  '{': '3,6.5 2,6 2,3.5 1,3 2,2.5 2,0 3,-0.5',
+  '}': '1,6.5 2,6 2,3.5 3,3 2,2.5 2,0 1,-0.5',
+  '<': '4,5 0,3 4,1',
+  '>': '0,5 4,3 0,1',
+  '!': '2,6 2,1.5|2,0 2,0.4',
+  '?': '0,5 1,6 3,6 4,5 4,4 2,2.5 2,1.5|2,0 2,0.4',
+  '"': '1.3,6 1.3,4.5|2.7,6 2.7,4.5',
+  "'": '2,6 2,4.5',
+  '`': '1.5,6 2.5,5',
+  '#': '1,0 1.5,6|2.5,0 3,6|0,2 4,2|0,4 4,4',
+  $: '4,5 3,6 1,6 0,5 0,4 1,3 3,3 4,2 4,1 3,0 1,0 0,1|2,6.8 2,-0.8',
+  '%': '0,0 4,6|0.5,5.5 1,6 1.5,5.5 1,5 0.5,5.5|2.5,0.5 3,1 3.5,0.5 3,0 2.5,0.5',
+  '&': '4,0 0.5,4.5 0.5,5.5 1.5,6 2.5,5.5 2.5,4.5 0,2 0,1 1,0 2.5,0 4,2',
+  '*': '2,1.5 2,4.5|0.7,2.3 3.3,3.7|0.7,3.7 3.3,2.3',
+  '@': '3,2 3,4 1.5,4 1,3 1.5,2 3,2 4,2.5 4,5 3,6 1,6 0,5 0,1 1,0 3.5,0',
+  '^': '1,4.5 2,6 3,4.5',
+  '|': '2,-1 2,7',
+  '~': '0,3 1,3.7 3,2.8 4,3.5',
+  '°': '1.5,6 2.5,6 3,5.5 3,4.5 2.5,4 1.5,4 1,4.5 1,5.5 1.5,6',
+  '±': '0,3.5 4,3.5|2,1.5 2,5.5|0,0.5 4,0.5',
+  '⌀': '1,0 0,1 0,5 1,6 3,6 4,5 4,1 3,0 1,0|0,-0.5 4,6.5',
+};
+
+const FALLBACK_GLYPH = '0,0 4,0 4,6 0,6 0,0';
+
+function parseGlyph(source) {
+  if (!source) return [];
+  return source.split('|').map((stroke) => stroke.split(' ').map((pair) => {
+    const [x, y] = pair.split(',').map(Number);
+    return [x, y];
+  }));
+}
+
+const GLYPHS = new Map(Object.entries(GLYPH_SOURCE).map(([char, source]) => [char, parseGlyph(source)]));
+const FALLBACK_STROKES = parseGlyph(FALLBACK_GLYPH);
+
+function glyphFor(char) {
+  if (GLYPHS.has(char)) return GLYPHS.get(char);
+  if (char === 'Ø' || char === 'ø') return GLYPHS.get('⌀');
+  if (/\s/.test(char)) return GLYPHS.get(' ');
+  return FALLBACK_STROKES;
+}
+
+export function measureRun(text, height, widthFactor = 1) {
+  if (!text.length) return 0;
+  const scale = (height / FONT_CAP_HEIGHT) * widthFactor;
+  return ([...text].length * GLYPH_ADVANCE - GLYPH_GAP) * scale;
+}
+
+export function runAdvance(text, height, widthFactor = 1) {
+  const scale = (height / FONT_CAP_HEIGHT) * widthFactor;
+  return [...text].length * GLYPH_ADVANCE * scale;
+}
+
+// Appends the run's strokes to `segments` as flat x1,y1,x2,y2 line segments
+// with the run's baseline starting at (x, y). Returns the run's advance.
+export function strokeRun(text, segments, { x = 0, y = 0, height = 1, widthFactor = 1, oblique = 0 } = {}) {
+  const scaleY = height / FONT_CAP_HEIGHT;
+  const scaleX = scaleY * widthFactor;
+  const shear = Math.tan(oblique);
+  let cursor = x;
+  for (const char of text) {
+    for (const stroke of glyphFor(char)) {
+      for (let i = 0; i < stroke.length - 1; i += 1) {
+        const [ax, ay] = stroke[i];
+        const [bx, by] = stroke[i + 1];
+        segments.push(
+          cursor + ax * scaleX + ay * scaleY * shear, y + ay * scaleY,
+          cursor + bx * scaleX + by * scaleY * shear, y + by * scaleY,
+        );
+      }
+    }
+    cursor += GLYPH_ADVANCE * scaleX;
+  }
+  return cursor - x;
+}
@@ -0,0 +1,30 @@
+import { loadOcctModel } from './occtReader.js';
+
+// OpenCascade's native format starts with a banner naming the topology version
+const BREP_BANNER = /CASCADE Topology V(\d+)/;
+
+export async function loadBrep(file, card, viewport, options = {}) {
+  if (!file) {
+    throw new Error('A file must be provided to loadBrep.');
+  }
+  if (!viewport) {
+    throw new Error('A viewer window could not be created for this BREP file.');
+  }
+
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const banner = new TextDecoder('latin1').decode(bytes.subarray(0, 256));
+  const version = BREP_BANNER.exec(banner);
+  if (!version) {
+    throw new Error('BREP import failed: not an OpenCascade BREP file (no "CASCADE Topology" banner).');
+  }
+
+  return loadOcctModel(file, card, viewport, options, {
+    kind: 'brep',
+    label: 'BREP',
+    bytes,
+    method: 'ReadBrepFile',
+    // BREP stores bare coordinates; OpenCascade models are millimetres by convention
+    unitNote: 'no units in file, assumed mm',
+    failureMessage: `BREP import failed (topology format V${version[1]}).`,
+  });
+}
@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import { DXFLoader } from '../loaders/DXFLoader.js';
+import { createAbortError, showParseProgress } from './progress.js';
+import { escapeHtml } from './html.js';
 
 // DXF unit codes to millimeter conversion
 const DXF_UNITS_TO_MM = {
@@ -53,6 +55,15 @@ function getUnitName(unitCode) {
   return names[unitCode] || 'unknown';
 }
 
+// $LUNITS only controls how AutoCAD displays lengths, not their scale
+const LINEAR_UNIT_FORMATS = {
+  1: 'scientific',
+  2: 'decimal',
+  3: 'engineering',
+  4: 'architectural',
+  5: 'fractional',
+};
+
 function formatEntityCounts(entityCounts) {
   if (!entityCounts || Object.keys(entityCounts).length === 0) {
     return '';
@@ -91,10 +102,15 @@ function getEntityIcon(type) {
     'SPLINE': '∿',
     'POINT': '•',
     '3DFACE': '▲',
+    'MESH': '▲',
+    'SOLID': '◼',
+    'TRACE': '◼',
+    'WIPEOUT': '▭',
     'INSERT': '⊞',
     'TEXT': 'T',
     'MTEXT': 'T',
     'DIMENSION': '↔',
+    'HATCH': '▨',
   };
   return icons[type] || '▪';
 }
@@ -108,14 +124,89 @@ function formatFileInfo(metadata, fileName, unitScale, sourceUnit) {
       <div class="metric-label">📄 File Information</div>
       <div class="metric-value">${fileName}</div>
       <div class="metric-sub">Source units: ${sourceUnit}</div>
+      ${metadata.version ? `<div class="metric-sub">DXF version: ${metadata.version.release || 'unknown release'} (${escapeHtml(metadata.version.code)})</div>` : ''}
+      ${LINEAR_UNIT_FORMATS[metadata.linearUnits] ? `<div class="metric-sub">Length display: ${LINEAR_UNIT_FORMATS[metadata.linearUnits]}</div>` : ''}
+      ${metadata.format === 'binary' ? '<div class="metric-sub">Format: binary DXF</div>' : ''}
       ${unitScale !== 1 ? `<div class="metric-sub">Scale factor: ${unitScale}× to mm</div>` : ''}
       ${metadata.layerCount > 0 ? `<div class="metric-sub">Layers: ${metadata.layerCount}</div>` : ''}
+      ${formatAttributes(metadata.attributes)}
     </div>
   `);
 
   return sections.join('');
 }
 
+function formatAttributes(attributes) {
+  if (!attributes || !attributes.length) return '';
+  const shown = attributes.filter((attribute) => attribute.value !== '');
+  const rows = shown.map((attribute) => `
+      <tr${attribute.source === 'ATTDEF' ? ' class="muted"' : ''}>
+        <td>${escapeHtml(attribute.tag)}</td>
+        <td>${escapeHtml(attribute.value)}</td>
+        <td>${escapeHtml(attribute.block)}</td>
+      </tr>
+    `);
+  if (!rows.length) return '';
+  return `
+    <table class="metric-table">
+      <tr><th>Attribute</th><th>Value</th><th>Block</th></tr>
+      ${rows.join('')}
+    </table>
+    ${shown.some((attribute) => attribute.source === 'ATTDEF')
+      ? '<span class="metric-sub">Grey values are block defaults (ATTDEF) not set on the insert</span>'
+      : ''}
+  `;
+}
+
+const SEVERITY_ICONS = { error: '⛔', warning: '⚠️', info: 'ℹ️' };
+const REPORT_LOCATIONS_SHOWN = 12;
+
+function formatLocation(diagnostic) {
+  if (diagnostic.line !== null) return `${diagnostic.line}`;
+  if (diagnostic.offset !== null) return `byte ${diagnostic.offset}`;
+  return '?';
+}
+
+// Identical problems are grouped so a file with hundreds of the same bad
+// entity stays readable; each row lists where they occur in the source.
+function formatParseReport(diagnostics) {
+  if (!diagnostics || !diagnostics.length) {
+    return '';
+  }
+  const groups = new Map();
+  diagnostics.forEach((diagnostic) => {
+    const key = `${diagnostic.severity}|${diagnostic.message}`;
+    if (!groups.has(key)) {
+      groups.set(key, { ...diagnostic, locations: [] });
+    }
+    groups.get(key).locations.push(formatLocation(diagnostic));
+  });
+  const order = ['error', 'warning', 'info'];
+  const rows = [...groups.values()]
+    .sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity) || b.locations.length - a.locations.length)
+    .map((group) => {
+      const shown = group.locations.slice(0, REPORT_LOCATIONS_SHOWN).join(', ');
+      const more = group.locations.length > REPORT_LOCATIONS_SHOWN ? `, … ${group.locations.length - REPORT_LOCATIONS_SHOWN} more` : '';
+      return `<tr><td>${SEVERITY_ICONS[group.severity] || ''}</td><td>${escapeHtml(group.message)}</td><td>${group.locations.length}</td><td>${shown}${more}</td></tr>`;
+    })
+    .join('');
+  const errors = diagnostics.filter((diagnostic) => diagnostic.severity === 'error').length;
+  const warnings = diagnostics.filter((diagnostic) => diagnostic.severity === 'warning').length;
+  const summary = [
+    errors ? `${errors} error${errors > 1 ? 's' : ''}` : '',
+    warnings ? `${warnings} warning${warnings > 1 ? 's' : ''}` : '',
+  ].filter(Boolean).join(', ') || `${diagnostics.length} note${diagnostics.length > 1 ? 's' : ''}`;
+  return `
+    <details class="metric parse-report">
+      <summary class="metric-label">🧾 Parse report (${summary})</summary>
+      <table class="metric-table">
+        <tr><th></th><th>Issue</th><th>Count</th><th>Line</th></tr>
+        ${rows}
+      </table>
+    </details>
+  `;
+}
+
 function validateDxfGeometry(group, metadata) {
   const warnings = [];
 
@@ -142,25 +233,58 @@ function validateDxfGeometry(group, metadata) {
     if (minDim === 0 && maxDim > 0) {
       warnings.push('✓ True 2D flat pattern detected');
     }
+
+    // $EXTMIN/$EXTMAX are only refreshed when AutoCAD regenerates, so a
+    // mismatch points at stale extents or geometry the loader did not draw
+    if (metadata.extents) {
+      const tolerance = Math.max(maxDim * 0.01, 1e-6);
+      const stored = metadata.extents;
+      const differs = ['x', 'y'].some((axis) => (
+        Math.abs(stored.min[axis] - metadata.bounds.min[axis]) > tolerance
+        || Math.abs(stored.max[axis] - metadata.bounds.max[axis]) > tolerance
+      ));
+      if (differs) {
+        const format = (point) => `${point.x.toFixed(2)}, ${point.y.toFixed(2)}`;
+        warnings.push(`⚠️ Stored extents ($EXTMIN ${format(stored.min)} / $EXTMAX ${format(stored.max)}) differ from the drawn geometry (${format(metadata.bounds.min)} / ${format(metadata.bounds.max)}) - entities may be missing or unsupported`);
+      }
+    }
   }
 
   // Check for unusual entity types
   if (metadata.entityCounts) {
     const hasBlocks = metadata.entityCounts['INSERT'] > 0;
     const hasText = (metadata.entityCounts['TEXT'] || 0) + (metadata.entityCounts['MTEXT'] || 0) > 0;
-    const has3D = metadata.entityCounts['3DFACE'] > 0;
+    let meshCount = 0;
+    group.traverse((child) => {
+      if (child.isMesh && !['SOLID', 'TRACE', 'WIPEOUT'].includes(child.userData.type)) meshCount += 1;
+    });
+    const has3D = meshCount > 0;
 
     if (hasBlocks) {
-      warnings.push(`ℹ️ Contains ${metadata.entityCounts['INSERT']} block instances`);
+      const placed = metadata.blockInstanceCount || 0;
+      warnings.push(`ℹ️ Contains ${metadata.entityCounts['INSERT']} block references (${placed} placed instances after expanding arrays and nested blocks)`);
     }
 
     if (hasText) {
       const textCount = (metadata.entityCounts['TEXT'] || 0) + (metadata.entityCounts['MTEXT'] || 0);
-      warnings.push(`ℹ️ Contains ${textCount} text annotations (shown as points)`);
+      warnings.push(`ℹ️ Contains ${textCount} text annotations (drawn with a stroke font)`);
+    }
+
+    const hiddenLayers = (metadata.layers || []).filter((layer) => !layer.on || layer.frozen);
+    if (hiddenLayers.length) {
+      warnings.push(`ℹ️ ${hiddenLayers.length} layer${hiddenLayers.length > 1 ? 's are' : ' is'} off or frozen (hidden and not measured): ${hiddenLayers.map((layer) => escapeHtml(layer.name)).join(', ')}`);
+    }
+
+    if (metadata.layouts && metadata.layouts.length) {
+      warnings.push(`ℹ️ ${metadata.layouts.length} paper-space layout${metadata.layouts.length > 1 ? 's' : ''} kept out of the model measurements: ${metadata.layouts.map((layout) => escapeHtml(layout.name)).join(', ')}`);
+    }
+
+    if (metadata.ocsEntityCount > 0) {
+      warnings.push(`ℹ️ ${metadata.ocsEntityCount} entities drawn in a mirrored or rotated UCS (converted to world coordinates)`);
     }
 
     if (has3D) {
-      warnings.push('⚠️ Contains 3D faces - may not be a flat pattern');
+      warnings.push(`⚠️ Contains ${meshCount} 3D face/mesh object${meshCount > 1 ? 's' : ''} - may not be a flat pattern (bends are detected from the surfaces)`);
     }
   }
 
@@ -177,6 +301,143 @@ function validateDxfGeometry(group, metadata) {
   `;
 }
 
+const LOADER_OPTIONS = {
+  circleSegments: 64,
+  arcSegmentAngle: 5, // More segments for smoother arcs
+};
+
+// Share of the progress bar given to each worker stage: [label, start, span]
+const PROGRESS_STAGES = {
+  read: ['Reading file', 0, 0.35],
+  parse: ['Parsing entities', 0.35, 0.6],
+  transfer: ['Building geometry', 0.95, 0.05],
+};
+
+const OBJECT_TYPES = {
+  Line: THREE.Line,
+  LineLoop: THREE.LineLoop,
+  LineSegments: THREE.LineSegments,
+  Mesh: THREE.Mesh,
+  Points: THREE.Points,
+};
+
+const MATERIAL_TYPES = {
+  LineBasicMaterial: THREE.LineBasicMaterial,
+  LineDashedMaterial: THREE.LineDashedMaterial,
+  MeshStandardMaterial: THREE.MeshStandardMaterial,
+  PointsMaterial: THREE.PointsMaterial,
+};
+
+function restoreGeometry({ attributes, index }) {
+  const geometry = new THREE.BufferGeometry();
+  Object.entries(attributes).forEach(([name, { array, itemSize }]) => {
+    geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize));
+  });
+  if (index) {
+    geometry.setIndex(new THREE.BufferAttribute(index, 1));
+  }
+  return geometry;
+}
+
+function restoreMaterial({ type, ...parameters }) {
+  const Material = MATERIAL_TYPES[type] || THREE.LineBasicMaterial;
+  return new Material(parameters);
+}
+
+function restoreObject(node, geometries, materials) {
+  const object = node.geometry === undefined
+    ? new THREE.Group()
+    : new (OBJECT_TYPES[node.type] || THREE.Line)(geometries[node.geometry], materials[node.material]);
+  object.name = node.name;
+  object.visible = node.visible;
+  object.userData = node.userData;
+  object.matrix.fromArray(node.matrix);
+  object.matrix.decompose(object.position, object.quaternion, object.scale);
+  node.children.forEach((child) => object.add(restoreObject(child, geometries, materials)));
+  return object;
+}
+
+// Turns the records posted by dxfWorker.js back into the loader's output
+function restoreParseResult(data) {
+  const geometries = data.geometries.map(restoreGeometry);
+  const materials = data.materials.map(restoreMaterial);
+  const { metadata } = data;
+  ['bounds', 'extents'].forEach((key) => {
+    if (metadata[key]) {
+      metadata[key] = new THREE.Box3().copy(metadata[key]);
+    }
+  });
+  return {
+    group: restoreObject(data.scene, geometries, materials),
+    layouts: data.layouts.map((layout) => ({ name: layout.name, group: restoreObject(layout.scene, geometries, materials) })),
+    metadata,
+  };
+}
+
+// Resolves with null when the worker cannot start, so the caller can parse on
+// the main thread instead. Once it has reported back, errors are rejected.
+function parseInWorker(file, onProgress) {
+  const worker = new Worker(new URL('../loaders/dxfWorker.js', import.meta.url), { type: 'module' });
+  let rejectParse = null;
+  let started = false;
+  const promise = new Promise((resolve, reject) => {
+    rejectParse = reject;
+    worker.onmessage = ({ data }) => {
+      started = true;
+      if (data.type === 'progress') {
+        onProgress(data.stage, data.fraction);
+        return;
+      }
+      worker.terminate();
+      if (data.type === 'done') {
+        resolve(restoreParseResult(data));
+      } else if (data.type === 'unavailable') {
+        console.warn('DXF worker unavailable, parsing on the main thread.', data.message);
+        resolve(null);
+      } else {
+        const error = new Error(data.message);
+        error.diagnostics = data.diagnostics || null;
+        reject(error);
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      worker.terminate();
+      if (started) {
+        reject(new Error(event.message || 'The DXF parser stopped unexpectedly.'));
+      } else {
+        console.warn('DXF worker could not start, parsing on the main thread.', event.message);
+        resolve(null);
+      }
+    };
+    worker.postMessage({ file, threeUrl: import.meta.resolve('three'), loaderOptions: LOADER_OPTIONS });
+  });
+  const cancel = () => {
+    worker.terminate();
+    rejectParse(createAbortError());
+  };
+  return { promise, cancel };
+}
+
+async function parseDxf(file, progress) {
+  if (typeof Worker !== 'undefined' && typeof import.meta.resolve === 'function') {
+    const job = parseInWorker(file, progress.update);
+    progress.setCancel(job.cancel);
+    const result = await job.promise;
+    progress.setCancel(null);
+    if (result) {
+      return result;
+    }
+  }
+
+  progress.update('parse', null);
+  // Read raw bytes so the loader can tell binary DXF from ASCII DXF
+  const buffer = await file.arrayBuffer();
+  const loader = new DXFLoader(LOADER_OPTIONS);
+  const group = loader.parse(buffer);
+  return { group, layouts: loader.getLayouts(), metadata: loader.getMetadata() };
+}
+
 export async function loadDxf(file, card, viewport, options = {}) {
   if (!file) {
     throw new Error('A file must be provided to loadDxf.');
@@ -187,6 +448,10 @@ export async function loadDxf(file, card, viewport, options = {}) {
 
   const {
     precisionEl,
+    dxfHatchModeEl,
+    dxfTextModeEl,
+    dxfLinetypeModeEl,
+    dxfFillModeEl,
     addCard,
     updateCardBody,
     computeBoundsFromGroup,
@@ -197,24 +462,22 @@ export async function loadDxf(file, card, viewport, options = {}) {
     models,
   } = options;
 
-  const text = await file.text();
-  const loader = new DXFLoader({
-    circleSegments: 64,
-    arcSegmentAngle: 5, // More segments for smoother arcs
-  });
-  
-  const group = loader.parse(text);
+  let parsed;
+  try {
+    parsed = await parseDxf(file, showParseProgress(card, updateCardBody, PROGRESS_STAGES));
+  } catch (error) {
+    // Keep the report for files that fail outright; it says what was wrong
+    if (error.diagnostics) {
+      error.reportHtml = formatParseReport(error.diagnostics);
+    }
+    throw error;
+  }
+  const { group, layouts, metadata } = parsed;
 
   if (!group) {
     throw new Error('DXF loader produced no geometry.');
   }
 
-  const metadata = loader.getMetadata();
-  const bounds = computeBoundsFromGroup(group);
-  if (!bounds) {
-    throw new Error('DXF file contained no drawable entities.');
-  }
-
   // Determine unit conversion
   let unitCode = 0; // Default to unitless/mm
   if (metadata.units === 'unknown' || metadata.units === null) {
@@ -225,52 +488,110 @@ export async function loadDxf(file, card, viewport, options = {}) {
     unitCode = parseInt(metadata.units, 10) || 0;
   }
 
+  // Unitless drawings fall back to the drawing's measurement system
+  let sourceUnit = getUnitName(unitCode);
+  if (unitCode === 0 && metadata.measurement === 'imperial') {
+    unitCode = 1;
+    sourceUnit = 'inches (from $MEASUREMENT)';
+  } else if (unitCode === 0 && metadata.measurement === 'metric') {
+    sourceUnit = 'millimeters (from $MEASUREMENT)';
+  }
   const unitScale = DXF_UNITS_TO_MM[unitCode] || 1;
-  const sourceUnit = getUnitName(unitCode);
 
-  // Apply unit scaling if needed
-  if (unitScale !== 1) {
-    group.scale.setScalar(unitScale);
-    bounds.min.multiplyScalar(unitScale);
-    bounds.max.multiplyScalar(unitScale);
+  // Model space and every paper-space layout are kept as separate spaces;
+  // only the one on screen is measured, model space first.
+  const spaces = [{ name: 'Model', group }, ...layouts]
+    .map((space) => {
+      // Apply unit scaling if needed
+      if (unitScale !== 1) {
+        space.group.scale.setScalar(unitScale);
+      }
+      return { name: space.name, group: space.group, bounds: computeBoundsFromGroup(space.group) };
+    })
+    .filter((space) => space.bounds);
+  if (!spaces.length) {
+    throw new Error('DXF file contained no drawable entities.');
   }
+  let active = spaces[0];
+
+  const hatchMode = dxfHatchModeEl ? dxfHatchModeEl.value : 'engrave';
+  const textMode = dxfTextModeEl ? dxfTextModeEl.value : 'ignore';
+  const linetypeMode = dxfLinetypeModeEl ? dxfLinetypeModeEl.value : 'exclude';
+  const fillMode = dxfFillModeEl ? dxfFillModeEl.value : 'ignore';
 
-  const dimsMm = dimsFromBounds(bounds);
-  const analysis = analyzeSheetMetal(group, metadata);
+  // Layers that are off or frozen in the drawing start out hidden and are
+  // left out of the measurements until the user switches them back on.
+  const analyzedLayers = new Set(metadata.layers
+    .filter((layer) => layer.on && !layer.frozen)
+    .map((layer) => layer.name));
 
   const name = `${file.name}`;
   const precisionValue = precisionEl && precisionEl.value !== undefined ? precisionEl.value : '3';
   const decimals = parseInt(precisionValue, 10) || 3;
 
-  // Build comprehensive output
-  const bodyParts = [
-    '<div class="ok">Loaded DXF successfully.</div>',
-    formatFileInfo(metadata, name, unitScale, sourceUnit),
-    formatDims(dimsMm, decimals),
-    formatEntityCounts(metadata.entityCounts),
-    validateDxfGeometry(group, metadata),
-    formatLaserCutAnalysis(analysis, decimals),
-  ];
-
-  const bodyHtml = bodyParts.filter(part => part).join('');
+  const buildBody = () => {
+    const analysis = analyzeSheetMetal(active.group, metadata, {
+      hatchMode,
+      textMode,
+      linetypeMode,
+      fillMode,
+      layers: metadata.layers.length ? analyzedLayers : null,
+    });
+    const spaceNote = spaces.length > 1 || active.name !== 'Model'
+      ? `<div class="muted small">Measuring ${active.name === 'Model' ? 'model space' : `paper-space layout "${escapeHtml(active.name)}"`}</div>`
+      : '';
+
+    // Build comprehensive output
+    const bodyParts = [
+      '<div class="ok">Loaded DXF successfully.</div>',
+      spaceNote,
+      formatFileInfo(metadata, name, unitScale, sourceUnit),
+      formatDims(dimsFromBounds(active.bounds), decimals),
+      formatEntityCounts(metadata.entityCounts),
+      validateDxfGeometry(active.group, metadata),
+      formatLaserCutAnalysis(analysis, decimals),
+      formatParseReport(metadata.diagnostics),
+    ];
+    return bodyParts.filter(part => part).join('');
+  };
+
+  const bodyHtml = buildBody();
   const targetCard = card || addCard(name, bodyHtml);
   updateCardBody(targetCard, bodyHtml);
   targetCard.classList.remove('pending');
 
   viewport.setTitle(name);
-  viewport.setModel(group, bounds.clone());
+  viewport.setModel(active.group, active.bounds.clone());
+  viewport.setLayers(metadata.layers, {
+    analyzed: analyzedLayers,
+    onAnalysisChange: () => updateCardBody(targetCard, buildBody()),
+  });
 
   const model = { 
     name, 
-    group, 
-    bounds: bounds.clone(), 
+    group: active.group, 
+    bounds: active.bounds.clone(), 
     unit: sourceUnit, 
     unitScale,
     kind: 'dxf', 
     viewport, 
     card: targetCard,
     metadata,
+    spaces,
+    // Read again by the flat pattern export, so it cuts what is measured
+    analysisOptions: {
+      textMode,
+      linetypeMode,
+      layers: metadata.layers.length ? analyzedLayers : null,
+    },
   };
+  viewport.setSpaces(spaces.map((space) => space.name), (index) => {
+    active = spaces[index];
+    model.group = active.group;
+    model.bounds = active.bounds.clone();
+    viewport.setModel(active.group, active.bounds.clone());
+    updateCardBody(targetCard, buildBody());
+  });
   targetCard.addEventListener('click', () => viewport.focus());
   models.push(model);
   return targetCard;
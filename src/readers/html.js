@@ -0,0 +1,10 @@
+// Text from a file (names, layers, header fields) is shown in card markup
+// built from template strings, so it is escaped first.
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
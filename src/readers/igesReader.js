@@ -0,0 +1,159 @@
+import { escapeHtml } from './html.js';
+import { loadOcctModel } from './occtReader.js';
+
+// Global section parameter 14, the model space unit flag. Flag 3 means the
+// unit is named in parameter 15 instead.
+const IGES_UNITS = {
+  1: 'inches',
+  2: 'millimeters',
+  4: 'feet',
+  5: 'miles',
+  6: 'meters',
+  7: 'kilometers',
+  8: 'mils',
+  9: 'microns',
+  10: 'centimeters',
+  11: 'microinches',
+};
+
+// Splits the Global section into parameters. Strings are Hollerith constants
+// (`5HHello`) and may contain the delimiters, so they are read by length.
+function splitGlobalSection(text) {
+  let delimiter = ',';
+  let terminator = ';';
+  if (/^1H./.test(text)) {
+    delimiter = text[2];
+  }
+  const second = text.indexOf(delimiter) + 1;
+  if (text.slice(second, second + 2) === '1H') {
+    terminator = text[second + 2];
+  }
+
+  const params = [];
+  let i = 0;
+  while (i < text.length) {
+    const hollerith = /^\s*(\d+)H/.exec(text.slice(i, i + 12));
+    let value;
+    if (hollerith) {
+      const start = i + hollerith[0].length;
+      value = text.slice(start, start + Number(hollerith[1]));
+      i = start + Number(hollerith[1]);
+    } else {
+      let end = i;
+      while (end < text.length && text[end] !== delimiter && text[end] !== terminator) end += 1;
+      value = text.slice(i, end).trim();
+      i = end;
+    }
+    params.push(value);
+    if (text[i] === terminator || i >= text.length) break;
+    i += 1;
+  }
+  return params;
+}
+
+// Reads the fixed 80 column records: column 73 holds the section letter
+// (S, G, D, P, T) and the Terminate record counts the lines of each section
+function parseIgesHeader(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.length >= 73);
+  if (!lines.length || !/^[SGDPTC]$/.test(lines[0][72])) {
+    return { error: 'not an IGES file (no fixed-format Start/Global records)' };
+  }
+  if (lines[0][72] === 'C') {
+    return { error: 'compressed IGES is not supported' };
+  }
+  const sections = { S: [], G: [], D: [], P: [], T: [] };
+  lines.forEach((line) => {
+    const section = sections[line[72]];
+    if (section) section.push(line.slice(0, 72));
+  });
+
+  const params = splitGlobalSection(sections.G.join(''));
+  const unitFlag = parseInt(params[13], 10);
+  const unitName = params[14] || '';
+  const header = {
+    description: sections.S.map((line) => line.trim()).join(' ').trim(),
+    fileName: params[3] || '',
+    system: params[4] || '',
+    preprocessor: params[5] || '',
+    scale: parseFloat(params[12]) || 1,
+    unitFlag: Number.isFinite(unitFlag) ? unitFlag : null,
+    units: unitFlag === 3 ? (unitName || null) : (IGES_UNITS[unitFlag] || null),
+    date: params[17] || '',
+    author: params[20] || '',
+    organization: params[21] || '',
+    warnings: [],
+  };
+
+  if (!sections.G.length) {
+    header.warnings.push('The Global section is missing; units default to inches.');
+  } else if (header.units === null) {
+    header.warnings.push(`Unknown unit flag ${params[13] || '(blank)'}; OpenCascade may assume inches.`);
+  }
+  if (header.scale !== 1) {
+    header.warnings.push(`Model space scale is ${header.scale}; dimensions are as drawn, not at full size.`);
+  }
+  const terminate = sections.T[0];
+  if (!terminate) {
+    header.warnings.push('The Terminate record is missing; the file is probably truncated.');
+  } else {
+    [['S', 0], ['G', 8], ['D', 16], ['P', 24]].forEach(([letter, column]) => {
+      const expected = parseInt(terminate.slice(column + 1, column + 8), 10);
+      if (Number.isFinite(expected) && expected !== sections[letter].length) {
+        header.warnings.push(`Section ${letter} has ${sections[letter].length} lines but the Terminate record lists ${expected}; the file may be truncated or edited.`);
+      }
+    });
+  }
+  if (!sections.D.length) {
+    header.warnings.push('The file has no Directory Entry records, so it contains no entities.');
+  }
+  return header;
+}
+
+function formatIgesHeader(header) {
+  const rows = [
+    ['Units', header.units ? `${header.units} (flag ${header.unitFlag})` : 'unknown'],
+    ['Written by', [header.system, header.preprocessor].filter(Boolean).join(' · ')],
+    ['File name', header.fileName],
+    ['Date', header.date],
+    ['Author', [header.author, header.organization].filter(Boolean).join(', ')],
+  ].filter(([, value]) => value);
+  return `
+    <div class="metric">
+      <div class="metric-label">📄 IGES header</div>
+      <table class="metric-table">
+        ${rows.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+      </table>
+      ${header.description ? `<div class="metric-sub">${escapeHtml(header.description)}</div>` : ''}
+      ${header.warnings.map((warning) => `<div class="warn">⚠️ ${escapeHtml(warning)}</div>`).join('')}
+    </div>
+  `;
+}
+
+export async function loadIges(file, card, viewport, options = {}) {
+  if (!file) {
+    throw new Error('A file must be provided to loadIges.');
+  }
+  if (!viewport) {
+    throw new Error('A viewer window could not be created for this IGES file.');
+  }
+
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const header = parseIgesHeader(new TextDecoder('latin1').decode(bytes));
+  if (header.error) {
+    throw new Error(`IGES import failed: ${header.error}.`);
+  }
+  const written = [header.system, header.units && `units ${header.units}`].filter(Boolean).join(', ');
+
+  return loadOcctModel(file, card, viewport, options, {
+    kind: 'iges',
+    label: 'IGES',
+    bytes,
+    method: 'ReadIgesFile',
+    unitNote: header.units && header.units !== 'millimeters' ? `${header.units} → mm` : 'converted → mm',
+    failureMessage: [
+      `IGES import failed${written ? ` (${written})` : ''}.`,
+      ...header.warnings,
+    ].join(' '),
+    infoHtml: formatIgesHeader(header),
+  });
+}
@@ -0,0 +1,413 @@
+import * as THREE from 'three';
+import { createAbortError, showParseProgress } from './progress.js';
+import { escapeHtml } from './html.js';
+
+// Linear deflection is a fraction of the model's bounding box (or millimetres
+// with the absolute type); angular deflection is in radians. Draft keeps big
+// assemblies responsive, fine gives small holes enough facets to read as round.
+export const TESSELLATION_PRESETS = {
+  draft: { linearDeflectionType: 'bounding_box_ratio', linearDeflection: 0.001, angularDeflection: 0.5 },
+  normal: { linearDeflectionType: 'bounding_box_ratio', linearDeflection: 0.00005, angularDeflection: 0.05 },
+  fine: { linearDeflectionType: 'bounding_box_ratio', linearDeflection: 0.00001, angularDeflection: 0.02 },
+};
+
+function readTessellation(options) {
+  const {
+    stepQualityEl,
+    stepDeflectionTypeEl,
+    stepLinearDeflectionEl,
+    stepAngularDeflectionEl,
+  } = options;
+  const quality = stepQualityEl && stepQualityEl.value ? stepQualityEl.value : 'normal';
+  if (TESSELLATION_PRESETS[quality]) {
+    return { quality, ...TESSELLATION_PRESETS[quality] };
+  }
+  const fallback = TESSELLATION_PRESETS.normal;
+  const positive = (el, value) => {
+    const parsed = el ? parseFloat(el.value) : NaN;
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : value;
+  };
+  return {
+    quality: 'custom',
+    linearDeflectionType: stepDeflectionTypeEl && stepDeflectionTypeEl.value === 'absolute_value'
+      ? 'absolute_value'
+      : 'bounding_box_ratio',
+    linearDeflection: positive(stepLinearDeflectionEl, fallback.linearDeflection),
+    angularDeflection: positive(stepAngularDeflectionEl, fallback.angularDeflection),
+  };
+}
+
+// Share of the progress bar given to each worker stage: [label, start, span].
+// OpenCascade reports nothing while it meshes, so that stage is indeterminate.
+const PROGRESS_STAGES = {
+  read: ['Reading file', 0, 0.2],
+  mesh: ['Meshing with OpenCascade', 0.2, 0.7],
+  transfer: ['Building geometry', 0.9, 0.1],
+};
+
+// One finished worker is kept so the next file skips compiling the WASM
+// module again; a cancelled job terminates its worker instead
+let idleWorker = null;
+
+function findOcctScriptUrl() {
+  const script = typeof document !== 'undefined' && document.querySelector('script[src*="occt-import-js"]');
+  return script ? script.src : null;
+}
+
+// Resolves with null when the worker cannot start, so the caller can import
+// on the main thread instead. Once it has reported back, errors are rejected.
+function importInWorker(scriptUrl, file, bytes, method, params, onProgress) {
+  // A worker kept from an earlier file has already started
+  let started = Boolean(idleWorker);
+  const worker = idleWorker || new Worker(new URL('../loaders/occtWorker.js', import.meta.url));
+  idleWorker = null;
+  let rejectImport = null;
+  const release = () => {
+    if (idleWorker) {
+      worker.terminate();
+    } else {
+      idleWorker = worker;
+    }
+  };
+  const promise = new Promise((resolve, reject) => {
+    rejectImport = reject;
+    worker.onmessage = ({ data }) => {
+      started = true;
+      if (data.type === 'progress') {
+        onProgress(data.stage, data.fraction);
+        return;
+      }
+      if (data.type === 'done') {
+        release();
+        resolve({ result: data.result, importMs: data.importMs });
+      } else if (data.type === 'unavailable') {
+        worker.terminate();
+        console.warn('OpenCascade worker unavailable, importing on the main thread.', data.message);
+        resolve(null);
+      } else {
+        // A failed WASM call can leave the module unusable, so start afresh
+        worker.terminate();
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      worker.terminate();
+      if (started) {
+        reject(new Error(event.message || 'The OpenCascade import stopped unexpectedly.'));
+      } else {
+        console.warn('OpenCascade worker could not start, importing on the main thread.', event.message);
+        resolve(null);
+      }
+    };
+    worker.postMessage({
+      scriptUrl,
+      file,
+      bytes,
+      method,
+      params,
+    });
+  });
+  const cancel = () => {
+    worker.terminate();
+    rejectImport(createAbortError());
+  };
+  return { promise, cancel };
+}
+
+async function importOcct(file, format, params, options, progress) {
+  const scriptUrl = findOcctScriptUrl();
+  if (typeof Worker !== 'undefined' && scriptUrl) {
+    const job = importInWorker(scriptUrl, file, format.bytes || null, format.method, params, progress.update);
+    progress.setCancel(job.cancel);
+    const imported = await job.promise;
+    progress.setCancel(null);
+    if (imported) {
+      return imported;
+    }
+  }
+
+  progress.update('mesh', null);
+  const occt = await options.ensureOcctModule();
+  const uint8 = format.bytes || new Uint8Array(await file.arrayBuffer());
+  const start = performance.now();
+  const result = occt[format.method](uint8, params);
+  return { result, importMs: performance.now() - start };
+}
+
+function formatSeconds(ms) {
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)} s`;
+}
+
+function formatTessellation(tessellation, triangles, timings) {
+  const deflection = tessellation.linearDeflectionType === 'absolute_value'
+    ? `${tessellation.linearDeflection} mm`
+    : `${tessellation.linearDeflection} × size`;
+  return `
+    <div class="metric">
+      <div class="metric-label">🔺 Tessellation (${tessellation.quality})</div>
+      <div class="metric-value">${triangles.toLocaleString()} triangles</div>
+      <div class="metric-sub">Linear deflection ${deflection}, angular ${tessellation.angularDeflection} rad</div>
+      <div class="metric-sub">Import ${formatSeconds(timings.import)} · mesh ${formatSeconds(timings.mesh)} · analysis ${formatSeconds(timings.analysis)}</div>
+      <button type="button" class="btn retessellate">Re-tessellate</button>
+    </div>
+  `;
+}
+
+function geometryArea(geometry) {
+  const positions = geometry.getAttribute('position');
+  const index = geometry.index;
+  const count = index ? index.count : positions.count;
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  let area = 0;
+  for (let i = 0; i + 2 < count; i += 3) {
+    a.fromBufferAttribute(positions, index ? index.getX(i) : i);
+    b.fromBufferAttribute(positions, index ? index.getX(i + 1) : i + 1);
+    c.fromBufferAttribute(positions, index ? index.getX(i + 2) : i + 2);
+    area += b.sub(a).cross(c.sub(a)).length() / 2;
+  }
+  return area;
+}
+
+// Mirrors the product tree of `result.root` as nested groups. occt-import-js
+// bakes placements into the vertex data, so every instance of a part has its
+// own mesh and the groups carry no transform.
+function buildAssemblyNode(source, meshes, used) {
+  const group = new THREE.Group();
+  group.name = source.name || '';
+  const node = { name: group.name, group, meshes: [], children: [] };
+  (source.meshes || []).forEach((index) => {
+    const mesh = meshes[index];
+    if (!mesh || used.has(mesh)) return;
+    used.add(mesh);
+    mesh.name = mesh.name || group.name;
+    group.add(mesh);
+    node.meshes.push(mesh);
+  });
+  (source.children || []).forEach((child) => {
+    const childNode = buildAssemblyNode(child, meshes, used);
+    if (!childNode.meshes.length && !childNode.children.length) return;
+    group.add(childNode.group);
+    node.children.push(childNode);
+  });
+  return node;
+}
+
+function visitAssembly(node, visit) {
+  visit(node);
+  node.children.forEach((child) => visitAssembly(child, visit));
+}
+
+// Same name, triangle count and surface area: the same part placed again.
+// Area is used rather than bounds because placements may rotate the part.
+function assemblySignature(node) {
+  let triangles = 0;
+  let area = 0;
+  node.group.traverse((child) => {
+    if (!child.isMesh) return;
+    const { geometry } = child;
+    triangles += (geometry.index ? geometry.index.count : geometry.getAttribute('position').count) / 3;
+    area += geometryArea(geometry);
+  });
+  return `${node.name}|${triangles}|${area.toFixed(1)}`;
+}
+
+function formatAssemblyNode(node, decimals, depth) {
+  const { x, y, z } = node.dims.mm;
+  const dims = `${x.toFixed(decimals)} × ${y.toFixed(decimals)} × ${z.toFixed(decimals)} mm`;
+  const { analysis } = node;
+  const facts = [
+    `Cut length: ${analysis.totalCutLengthMm.toFixed(decimals)} mm`,
+    analysis.outerPerimeterMm !== null ? `Outer perimeter: ${analysis.outerPerimeterMm.toFixed(decimals)} mm` : '',
+    analysis.holes.length ? `Holes: ${analysis.holes.length}` : '',
+    analysis.bend.bendCount && !(analysis.flatPattern && analysis.flatPattern.isLikelyFlat) ? `Bends: ${analysis.bend.bendCount}` : '',
+  ].filter(Boolean).join(' · ');
+  const children = node.children.length
+    ? `<ul class="assembly-list">${node.children.map((child) => formatAssemblyNode(child, decimals, depth + 1)).join('')}</ul>`
+    : '';
+  return `
+    <li>
+      <details${depth < 1 ? ' open' : ''}>
+        <summary>
+          <span class="assembly-name">${escapeHtml(node.name || 'Unnamed')}</span>
+          ${node.instances > 1 ? `<span class="assembly-count">×${node.instances}</span>` : ''}
+          <span class="assembly-dims">${dims}</span>
+        </summary>
+        <div class="metric-sub">${facts}</div>
+        ${children}
+      </details>
+    </li>
+  `;
+}
+
+function formatAssemblyTree(root, decimals) {
+  const parts = [];
+  visitAssembly(root, (node) => {
+    if (node.meshes.length) parts.push(node);
+  });
+  if (parts.length < 2) {
+    return '';
+  }
+  const unique = new Set(parts.map((node) => node.signature)).size;
+  return `
+    <details class="metric assembly-tree" open>
+      <summary class="metric-label">🧩 Assembly (${parts.length} parts, ${unique} unique)</summary>
+      <ul class="assembly-list">${formatAssemblyNode(root, decimals, 0)}</ul>
+    </details>
+  `;
+}
+
+// Shared by the STEP, IGES and BREP readers: `format` names the file type
+// and the occt-import-js reader method plus any header details for the card
+export async function loadOcctModel(file, card, viewport, options, format) {
+  const {
+    precisionEl,
+    addCard,
+    updateCardBody,
+    dimsFromBounds,
+    analyzeSheetMetal,
+    formatDims,
+    formatLaserCutAnalysis,
+    analyzeCylindricalFaces,
+    formatCylinderAnalysis,
+    computeBoundsFromPositions,
+    computeBoundsFromGroup,
+    models,
+    retessellateModel,
+  } = options;
+
+  const tessellation = readTessellation(options);
+  const params = {
+    linearUnit: 'millimeter',
+    linearDeflectionType: tessellation.linearDeflectionType,
+    linearDeflection: tessellation.linearDeflection,
+    angularDeflection: tessellation.angularDeflection,
+  };
+  const progress = showParseProgress(card, updateCardBody, PROGRESS_STAGES);
+  const { result, importMs } = await importOcct(file, format, params, options, progress);
+  const timings = { import: importMs };
+  if (!result || !result.success) {
+    throw new Error(format.failureMessage || `${format.label} import failed.`);
+  }
+
+  const meshStart = performance.now();
+  const meshes = [];
+  let bounds = null;
+  let triangles = 0;
+  for (const meshResult of result.meshes) {
+    const attr = meshResult && meshResult.attributes;
+    const positionAttr = attr && attr.position;
+    const posSrc = (positionAttr && positionAttr.array)
+      || meshResult.position
+      || meshResult.positions
+      || meshResult.vertices;
+    if (!posSrc) {
+      meshes.push(null);
+      continue;
+    }
+
+    const posArray = posSrc.BYTES_PER_ELEMENT ? posSrc : new Float32Array(posSrc);
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(posArray, 3));
+
+    const indexAttr = meshResult.index && meshResult.index.array ? meshResult.index.array : null;
+    const idxSrc = indexAttr || meshResult.indices || meshResult.index;
+    if (idxSrc) {
+      const indexArray = idxSrc.length > 65535 ? new Uint32Array(idxSrc) : new Uint16Array(idxSrc);
+      geometry.setIndex(new THREE.BufferAttribute(indexArray, 1));
+    }
+    geometry.computeVertexNormals();
+    triangles += (geometry.index ? geometry.index.count : geometry.getAttribute('position').count) / 3;
+
+    const colorObj = (meshResult.color && meshResult.color.length === 3)
+      ? new THREE.Color(meshResult.color[0], meshResult.color[1], meshResult.color[2])
+      : new THREE.Color(0x3c8bff);
+    const material = new THREE.MeshStandardMaterial({
+      color: colorObj,
+      metalness: 0.05,
+      roughness: 0.6,
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = meshResult.name || '';
+    // Triangle ranges of each B-rep face, used to recover exact cylinders
+    geometry.userData.brepFaces = meshResult.brep_faces || null;
+    meshes.push(mesh);
+
+    const meshBounds = computeBoundsFromPositions(posArray);
+    bounds = bounds ? bounds.union(meshBounds) : meshBounds.clone();
+  }
+
+  if (!bounds) {
+    throw new Error(`No geometry produced from ${format.label}.`);
+  }
+
+  const name = `${file.name}`;
+  const used = new Set();
+  const root = buildAssemblyNode(result.root || {}, meshes, used);
+  root.name = root.name || name;
+  // Meshes the product tree does not reference are still part of the model
+  meshes.forEach((mesh) => {
+    if (mesh && !used.has(mesh)) {
+      root.group.add(mesh);
+      root.meshes.push(mesh);
+    }
+  });
+  const { group } = root;
+  timings.mesh = performance.now() - meshStart;
+
+  const analysisStart = performance.now();
+  const meshCache = new Map();
+  const signatures = new Map();
+  visitAssembly(root, (node) => {
+    node.dims = dimsFromBounds(computeBoundsFromGroup(node.group));
+    node.analysis = analyzeSheetMetal(node.group, null, { meshCache });
+    node.signature = assemblySignature(node);
+    signatures.set(node.signature, (signatures.get(node.signature) || 0) + 1);
+  });
+  visitAssembly(root, (node) => {
+    node.instances = signatures.get(node.signature);
+  });
+
+  const dimsMm = dimsFromBounds(bounds);
+  const { analysis } = root;
+  const cylinders = analyzeCylindricalFaces ? analyzeCylindricalFaces(group, analysis) : null;
+  timings.analysis = performance.now() - analysisStart;
+
+  const precisionValue = precisionEl && precisionEl.value !== undefined ? precisionEl.value : '3';
+  const decimals = parseInt(precisionValue, 10) || 3;
+  const bodyHtml = [
+    `<div class="ok">Loaded ${format.label} (${format.unitNote || 'converted → mm'}).</div>`,
+    formatDims(dimsMm, decimals),
+    format.infoHtml || '',
+    formatAssemblyTree(root, decimals),
+    formatLaserCutAnalysis(analysis, decimals),
+    formatCylinderAnalysis ? formatCylinderAnalysis(cylinders, decimals) : '',
+    formatTessellation(tessellation, triangles, timings),
+  ].join('');
+  const targetCard = card || addCard(name, bodyHtml);
+  updateCardBody(targetCard, bodyHtml);
+  targetCard.classList.remove('pending');
+
+  viewport.setTitle(name);
+  viewport.setModel(group, bounds.clone());
+
+  const model = { name, group, bounds: bounds.clone(), unit: 'mm', kind: format.kind, assembly: root, cylinders, file, tessellation, viewport, card: targetCard };
+  // Re-tessellating loads into the same card, which keeps its listeners and
+  // its place in `models`
+  const index = models.findIndex((entry) => entry.card === targetCard);
+  if (index === -1) {
+    targetCard.addEventListener('click', (event) => {
+      if (retessellateModel && event.target.closest('.retessellate')) {
+        retessellateModel(models.find((entry) => entry.card === targetCard));
+      }
+      viewport.focus();
+    });
+    models.push(model);
+  } else {
+    models[index] = model;
+  }
+  return targetCard;
+}
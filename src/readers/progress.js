@@ -0,0 +1,48 @@
+// Progress bar and cancel button shown on a pending card while a file is
+// parsed in a worker. `stages` maps each stage to [label, start, span], the
+// share of the bar it covers.
+
+export function createAbortError() {
+  const error = new Error('Loading cancelled.');
+  error.name = 'AbortError';
+  return error;
+}
+
+export function showParseProgress(card, updateCardBody, stages) {
+  if (!card) {
+    return { update() {}, setCancel() {} };
+  }
+  updateCardBody(card, `
+    <div class="parse-progress">
+      <div class="muted small parse-progress-label">${Object.values(stages)[0][0]}…</div>
+      <progress class="parse-progress-bar" max="100" value="0"></progress>
+      <button type="button" class="btn parse-cancel" hidden>Cancel</button>
+    </div>
+  `);
+  const label = card.querySelector('.parse-progress-label');
+  const bar = card.querySelector('.parse-progress-bar');
+  const button = card.querySelector('.parse-cancel');
+  let cancel = null;
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    if (cancel) cancel();
+  });
+  return {
+    update(stage, fraction) {
+      const [text, start, span] = stages[stage];
+      if (fraction === null) {
+        // Work on the main thread cannot report progress
+        label.textContent = `${text}…`;
+        bar.removeAttribute('value');
+        return;
+      }
+      const percent = Math.round((start + span * Math.min(Math.max(fraction, 0), 1)) * 100);
+      label.textContent = `${text}… ${percent}%`;
+      bar.value = percent;
+    },
+    setCancel(callback) {
+      cancel = callback;
+      button.hidden = !callback;
+    },
+  };
+}
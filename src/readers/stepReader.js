@@ -1,102 +1,152 @@
-import * as THREE from 'three';
+import { escapeHtml } from './html.js';
+import { loadOcctModel } from './occtReader.js';
 
-export async function loadStep(file, card, viewport, options = {}) {
-  if (!file) {
-    throw new Error('A file must be provided to loadStep.');
-  }
-  if (!viewport) {
-    throw new Error('A viewer window could not be created for this STEP file.');
-  }
-
-  const {
-    ensureOcctModule,
-    precisionEl,
-    addCard,
-    updateCardBody,
-    dimsFromBounds,
-    analyzeSheetMetal,
-    formatDims,
-    formatLaserCutAnalysis,
-    computeBoundsFromPositions,
-    models,
-  } = options;
+// The HEADER section sits at the start of the file and is a few hundred bytes;
+// only this much is read to find it
+const HEADER_BYTES = 65536;
 
-  const occt = await ensureOcctModule();
-  const uint8 = new Uint8Array(await file.arrayBuffer());
-  const params = {
-    linearUnit: 'millimeter',
-    linearDeflectionType: 'bounding_box_ratio',
-    linearDeflection: 0.00005,
-    angularDeflection: 0.05,
-  };
-  const result = occt.ReadStepFile(uint8, params);
-  if (!result || !result.success) {
-    throw new Error('STEP import failed.');
-  }
-
-  const group = new THREE.Group();
-  let bounds = null;
-  for (const meshResult of result.meshes) {
-    const attr = meshResult && meshResult.attributes;
-    const positionAttr = attr && attr.position;
-    const posSrc = (positionAttr && positionAttr.array)
-      || meshResult.position
-      || meshResult.positions
-      || meshResult.vertices;
-    if (!posSrc) continue;
-
-    const posArray = posSrc.BYTES_PER_ELEMENT ? posSrc : new Float32Array(posSrc);
+// FILE_SCHEMA names mapped to the application protocol they belong to
+const STEP_SCHEMAS = [
+  [/^AP242/i, 'AP242 (managed model-based 3D engineering)'],
+  [/^AP203_CONFIGURATION_CONTROLLED/i, 'AP203 ed. 2 (configuration controlled 3D design)'],
+  [/^CONFIG_CONTROL_DESIGN/i, 'AP203 (configuration controlled design)'],
+  [/^AUTOMOTIVE_DESIGN/i, 'AP214 (automotive design)'],
+  [/^AP214/i, 'AP214 (automotive design)'],
+  [/^IFC/i, 'IFC (building model, not a mechanical part)'],
+];
 
-    const geometry = new THREE.BufferGeometry();
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(posArray, 3));
+// Part 21 strings escape non-ASCII text as \X2\<UTF-16 hex>\X0\, \X4\...\X0\
+// or \X\<one latin-1 byte>; quotes are doubled
+function decodeStepString(text) {
+  return text
+    .replace(/''/g, "'")
+    .replace(/\\X2\\((?:[0-9A-F]{4})+)\\X0\\/gi, (match, hex) => String.fromCharCode(
+      ...hex.match(/.{4}/g).map((code) => parseInt(code, 16)),
+    ))
+    .replace(/\\X4\\((?:[0-9A-F]{8})+)\\X0\\/gi, (match, hex) => String.fromCodePoint(
+      ...hex.match(/.{8}/g).map((code) => parseInt(code, 16)),
+    ))
+    .replace(/\\X\\([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/\\\\/g, '\\');
+}
 
-    const indexAttr = meshResult.index && meshResult.index.array ? meshResult.index.array : null;
-    const idxSrc = indexAttr || meshResult.indices || meshResult.index;
-    if (idxSrc) {
-      const indexArray = idxSrc.length > 65535 ? new Uint32Array(idxSrc) : new Uint16Array(idxSrc);
-      geometry.setIndex(new THREE.BufferAttribute(indexArray, 1));
+// Reads one parameter list such as ('a',('b','c'),$) into nested arrays
+function parseStepParameters(text) {
+  let i = 0;
+  const parseValue = () => {
+    while (/\s/.test(text[i])) i += 1;
+    if (text[i] === '(') {
+      i += 1;
+      const list = [];
+      while (i < text.length) {
+        while (/\s/.test(text[i])) i += 1;
+        if (text[i] === ')') {
+          i += 1;
+          break;
+        }
+        list.push(parseValue());
+        while (/\s/.test(text[i])) i += 1;
+        if (text[i] === ',') i += 1;
+      }
+      return list;
     }
-    geometry.computeVertexNormals();
-
-    const colorObj = (meshResult.color && meshResult.color.length === 3)
-      ? new THREE.Color(meshResult.color[0], meshResult.color[1], meshResult.color[2])
-      : new THREE.Color(0x3c8bff);
-    const material = new THREE.MeshStandardMaterial({
-      color: colorObj,
-      metalness: 0.05,
-      roughness: 0.6,
-    });
-    const mesh = new THREE.Mesh(geometry, material);
-    group.add(mesh);
+    if (text[i] === "'") {
+      let end = i + 1;
+      while (end < text.length && !(text[end] === "'" && text[end + 1] !== "'")) {
+        end += text[end] === "'" ? 2 : 1;
+      }
+      const value = decodeStepString(text.slice(i + 1, end));
+      i = end + 1;
+      return value;
+    }
+    const start = i;
+    while (i < text.length && !/[,)]/.test(text[i])) i += 1;
+    const token = text.slice(start, i).trim();
+    return token === '$' || token === '*' ? null : token;
+  };
+  return parseValue();
+}
 
-    const meshBounds = computeBoundsFromPositions(posArray);
-    bounds = bounds ? bounds.union(meshBounds) : meshBounds.clone();
+function parseStepHeader(text) {
+  const source = text.replace(/^\uFEFF/, '').replace(/\/\*[\s\S]*?\*\//g, '');
+  if (!/^\s*ISO-10303-21\s*;/.test(source)) {
+    return null;
   }
+  const start = source.search(/\bHEADER\s*;/);
+  const end = source.search(/\bENDSEC\s*;/);
+  const section = start === -1 ? '' : source.slice(start, end === -1 ? undefined : end);
+  const entity = (name) => {
+    const match = new RegExp(`\\b${name}\\s*\\(`).exec(section);
+    return match ? parseStepParameters(section.slice(match.index + match[0].length - 1)) : [];
+  };
+  const list = (value) => (Array.isArray(value) ? value : [value]).filter((item) => item);
 
-  if (!bounds) {
-    throw new Error('No geometry produced from STEP.');
-  }
+  const description = entity('FILE_DESCRIPTION');
+  const fileName = entity('FILE_NAME');
+  const schemas = list(entity('FILE_SCHEMA')[0]).map((schema) => schema.trim());
+  const schema = schemas[0] || '';
+  const protocol = STEP_SCHEMAS.find(([pattern]) => pattern.test(schema));
+  return {
+    description: list(description[0]).join(' '),
+    name: fileName[0] || '',
+    timestamp: fileName[1] || '',
+    authors: list(fileName[2]),
+    organizations: list(fileName[3]),
+    preprocessor: fileName[4] || '',
+    system: fileName[5] || '',
+    authorization: fileName[6] || '',
+    schema,
+    protocol: protocol ? protocol[1] : null,
+  };
+}
 
-  const dimsMm = dimsFromBounds(bounds);
-  const analysis = analyzeSheetMetal(group);
+function formatStepHeader(header) {
+  const rows = [
+    ['Originating system', header.system],
+    ['Preprocessor', header.preprocessor],
+    ['Schema', header.protocol ? `${header.protocol} · ${header.schema}` : header.schema],
+    ['File name', header.name],
+    ['Timestamp', header.timestamp],
+    ['Author', header.authors.join(', ')],
+    ['Organization', header.organizations.join(', ')],
+    ['Authorization', header.authorization],
+    ['Description', header.description],
+  ].filter(([, value]) => value);
+  if (!rows.length) {
+    return '';
+  }
+  return `
+    <div class="metric">
+      <div class="metric-label">📄 STEP header</div>
+      <table class="metric-table">
+        ${rows.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+      </table>
+    </div>
+  `;
+}
 
-  const name = `${file.name}`;
-  const precisionValue = precisionEl && precisionEl.value !== undefined ? precisionEl.value : '3';
-  const decimals = parseInt(precisionValue, 10) || 3;
-  const bodyHtml = [
-    '<div class="ok">Loaded STEP (converted → mm).</div>',
-    formatDims(dimsMm, decimals),
-    formatLaserCutAnalysis(analysis, decimals),
-  ].join('');
-  const targetCard = card || addCard(name, bodyHtml);
-  updateCardBody(targetCard, bodyHtml);
-  targetCard.classList.remove('pending');
+export async function loadStep(file, card, viewport, options = {}) {
+  if (!file) {
+    throw new Error('A file must be provided to loadStep.');
+  }
+  if (!viewport) {
+    throw new Error('A viewer window could not be created for this STEP file.');
+  }
 
-  viewport.setTitle(name);
-  viewport.setModel(group, bounds.clone());
+  const header = parseStepHeader(await file.slice(0, HEADER_BYTES).text());
+  if (!header) {
+    throw new Error('STEP import failed: not an ISO-10303-21 file (STEP-XML and compressed STEP are not supported).');
+  }
+  const written = [
+    header.system || header.preprocessor,
+    header.protocol ? header.protocol.split(' ')[0] : header.schema,
+  ].filter(Boolean).join(', ');
 
-  const model = { name, group, bounds: bounds.clone(), unit: 'mm', kind: 'step', viewport, card: targetCard };
-  targetCard.addEventListener('click', () => viewport.focus());
-  models.push(model);
-  return targetCard;
+  return loadOcctModel(file, card, viewport, options, {
+    kind: 'step',
+    label: 'STEP',
+    method: 'ReadStepFile',
+    failureMessage: `STEP import failed${written ? ` (${written})` : ''}.`,
+    infoHtml: formatStepHeader(header),
+  });
 }
@@ -0,0 +1,238 @@
+// Writes flat patterns as minimal AutoCAD R12 (AC1009) DXF, the lowest common
+// denominator laser and punch CAM software reads. Contours are POLYLINEs whose
+// tessellated arcs are folded back into bulge vertices.
+
+export const FLAT_PATTERN_LAYERS = [
+  { name: 'CUT', color: 7 },
+  { name: 'ETCH', color: 3 },
+  { name: 'BEND', color: 1 },
+];
+
+// Tessellated arcs turn by a few degrees per segment. A regular polygon with
+// fewer than 24 sides turns more and keeps its corners, unless its segments
+// are so short that the arc through them stays within the chord tolerance.
+const ARC_MAX_TURN = (15 * Math.PI) / 180;
+const ARC_COARSE_TURN = (45 * Math.PI) / 180;
+const ARC_MIN_SEGMENTS = 4;
+const ARC_SEGMENT_SPREAD = 0.1;
+
+function circleThrough(a, b, c) {
+  const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+  if (Math.abs(d) < 1e-12) return null;
+  const a2 = a.x * a.x + a.y * a.y;
+  const b2 = b.x * b.x + b.y * b.y;
+  const c2 = c.x * c.x + c.y * c.y;
+  const x = (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d;
+  const y = (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d;
+  return { x, y, radius: Math.hypot(a.x - x, a.y - y) };
+}
+
+function turnAngle(a, b, c) {
+  const ux = b.x - a.x;
+  const uy = b.y - a.y;
+  const vx = c.x - b.x;
+  const vy = c.y - b.y;
+  return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+}
+
+function segmentLength(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+// The arc over a segment of `length` that turns by `turn` bulges out
+// (length / 2) * tan(turn / 4) from it
+function isArcStep(turn, length, tolerance) {
+  const angle = Math.abs(turn);
+  return angle <= ARC_MAX_TURN
+    || (angle <= ARC_COARSE_TURN && (length / 2) * Math.tan(angle / 4) <= tolerance);
+}
+
+// Checks whether points[start..end] lie on one arc and returns its signed
+// sweep (positive counter-clockwise), or null
+function matchArc(points, start, end, tolerance) {
+  if (end - start < ARC_MIN_SEGMENTS) return null;
+  const circle = circleThrough(points[start], points[Math.floor((start + end) / 2)], points[end]);
+  if (!circle) return null;
+  const reference = segmentLength(points[start], points[start + 1]);
+  let sweep = 0;
+  let direction = 0;
+  for (let i = start; i < end; i += 1) {
+    const length = segmentLength(points[i], points[i + 1]);
+    if (Math.abs(length - reference) > reference * ARC_SEGMENT_SPREAD) return null;
+    if (Math.abs(Math.hypot(points[i + 1].x - circle.x, points[i + 1].y - circle.y) - circle.radius) > tolerance) return null;
+    if (i > start) {
+      const turn = turnAngle(points[i - 1], points[i], points[i + 1]);
+      if (!isArcStep(turn, length, tolerance) || Math.abs(turn) < 1e-9) return null;
+      if (direction && Math.sign(turn) !== direction) return null;
+      direction = Math.sign(turn);
+    }
+    const a = Math.atan2(points[i].y - circle.y, points[i].x - circle.x);
+    const b = Math.atan2(points[i + 1].y - circle.y, points[i + 1].x - circle.x);
+    let step = b - a;
+    if (step > Math.PI) step -= 2 * Math.PI;
+    if (step < -Math.PI) step += 2 * Math.PI;
+    sweep += step;
+  }
+  // A full turn cannot be one bulge; the caller splits closed circles
+  if (Math.abs(sweep) >= 2 * Math.PI - 1e-6) return null;
+  return sweep;
+}
+
+function findCorner(points, tolerance) {
+  const count = points.length;
+  for (let i = 0; i < count; i += 1) {
+    const previous = points[(i + count - 1) % count];
+    const next = points[(i + 1) % count];
+    const turn = turnAngle(previous, points[i], next);
+    const before = segmentLength(previous, points[i]);
+    const after = segmentLength(points[i], next);
+    if (!isArcStep(turn, Math.max(before, after), tolerance) || Math.abs(before - after) > Math.max(before, after) * ARC_SEGMENT_SPREAD) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Turns a point chain into polyline vertices { x, y, bulge }. Runs of points
+// that sit on a common circle (within `tolerance`) collapse into one vertex
+// whose bulge is tan(sweep / 4).
+export function fitBulges(points, closed, tolerance = 0.01) {
+  let chain = points;
+  if (closed) {
+    const corner = findCorner(points, tolerance);
+    if (corner === -1) {
+      // No corner anywhere: a whole circle is written as two half arcs
+      const half = Math.floor(points.length / 2);
+      const circle = half > 0 ? circleThrough(points[0], points[Math.floor(half / 2)], points[half]) : null;
+      if (circle && points.every((point) => Math.abs(Math.hypot(point.x - circle.x, point.y - circle.y) - circle.radius) <= tolerance)) {
+        const direction = Math.sign(turnAngle(points[0], points[1], points[2])) || 1;
+        const opposite = { x: 2 * circle.x - points[0].x, y: 2 * circle.y - points[0].y };
+        return [
+          { x: points[0].x, y: points[0].y, bulge: direction },
+          { x: opposite.x, y: opposite.y, bulge: direction },
+        ];
+      }
+    } else {
+      chain = [...points.slice(corner), ...points.slice(0, corner)];
+    }
+    chain = [...chain, chain[0]];
+  }
+
+  const vertices = [];
+  let i = 0;
+  while (i < chain.length - 1) {
+    let end = i + 1;
+    let sweep = 0;
+    for (let j = i + ARC_MIN_SEGMENTS; j < chain.length; j += 1) {
+      const match = matchArc(chain, i, j, tolerance);
+      if (match === null) break;
+      end = j;
+      sweep = match;
+    }
+    vertices.push({ x: chain[i].x, y: chain[i].y, bulge: sweep ? Math.tan(sweep / 4) : 0 });
+    i = end;
+  }
+  if (!closed) {
+    const last = chain[chain.length - 1];
+    vertices.push({ x: last.x, y: last.y, bulge: 0 });
+  }
+  return vertices;
+}
+
+function formatNumber(value) {
+  const fixed = Math.abs(value) < 5e-7 ? '0' : value.toFixed(6);
+  return fixed.includes('.') ? fixed.replace(/\.?0+$/, '') : fixed;
+}
+
+// `contours` maps a layer name to chains of { points: [{ x, y }], closed }
+export function writeFlatPatternDxf(contours, { tolerance = 0.01 } = {}) {
+  const lines = [];
+  const pair = (code, value) => {
+    lines.push(String(code).padStart(3, ' '), typeof value === 'number' ? formatNumber(value) : value);
+  };
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  Object.values(contours).flat().forEach(({ points }) => points.forEach(({ x, y }) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  }));
+  if (!Number.isFinite(minX)) {
+    minX = 0;
+    minY = 0;
+    maxX = 0;
+    maxY = 0;
+  }
+
+  pair(0, 'SECTION');
+  pair(2, 'HEADER');
+  pair(9, '$ACADVER');
+  pair(1, 'AC1009');
+  pair(9, '$EXTMIN');
+  pair(10, minX);
+  pair(20, minY);
+  pair(9, '$EXTMAX');
+  pair(10, maxX);
+  pair(20, maxY);
+  pair(0, 'ENDSEC');
+
+  pair(0, 'SECTION');
+  pair(2, 'TABLES');
+  pair(0, 'TABLE');
+  pair(2, 'LTYPE');
+  pair(70, 1);
+  pair(0, 'LTYPE');
+  pair(2, 'CONTINUOUS');
+  pair(70, 0);
+  pair(3, 'Solid line');
+  pair(72, 65);
+  pair(73, 0);
+  pair(40, 0);
+  pair(0, 'ENDTAB');
+  pair(0, 'TABLE');
+  pair(2, 'LAYER');
+  pair(70, FLAT_PATTERN_LAYERS.length);
+  FLAT_PATTERN_LAYERS.forEach(({ name, color }) => {
+    pair(0, 'LAYER');
+    pair(2, name);
+    pair(70, 0);
+    pair(62, color);
+    pair(6, 'CONTINUOUS');
+  });
+  pair(0, 'ENDTAB');
+  pair(0, 'ENDSEC');
+
+  pair(0, 'SECTION');
+  pair(2, 'ENTITIES');
+  FLAT_PATTERN_LAYERS.forEach(({ name }) => {
+    (contours[name] || []).forEach(({ points, closed }) => {
+      if (points.length < 2) return;
+      pair(0, 'POLYLINE');
+      pair(8, name);
+      pair(66, 1);
+      pair(10, 0);
+      pair(20, 0);
+      pair(30, 0);
+      pair(70, closed ? 1 : 0);
+      fitBulges(points, closed, tolerance).forEach(({ x, y, bulge }) => {
+        pair(0, 'VERTEX');
+        pair(8, name);
+        pair(10, x);
+        pair(20, y);
+        pair(30, 0);
+        if (bulge) {
+          pair(42, bulge);
+        }
+      });
+      pair(0, 'SEQEND');
+      pair(8, name);
+    });
+  });
+  pair(0, 'ENDSEC');
+  pair(0, 'EOF');
+  return `${lines.join('\n')}\n`;
+}